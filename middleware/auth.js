@@ -58,6 +58,28 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Attach the admin when a valid token is sent, but never block the request
+// (for routes that are open but record who made a change)
+exports.optionalAuth = async (req, res, next) => {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith('Bearer')) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(header.split(' ')[1], process.env.JWT_SECRET);
+    const admin = await Admin.findById(decoded.id).select('-password');
+
+    if (admin && (decoded.version === undefined || decoded.version === admin.tokenVersion)) {
+      req.admin = admin;
+    }
+  } catch (error) {
+    // Invalid or expired token: continue anonymously
+  }
+
+  next();
+};
+
 // Grant access to specific roles
 exports.authorize = (...roles) => {
   return (req, res, next) => {
@@ -0,0 +1,80 @@
+// backend/models/Amenity.js
+const mongoose = require('mongoose');
+
+const amenitySchema = new mongoose.Schema({
+  // Value stored in Project.amenities (e.g. 'parking', 'safeRoom')
+  key: {
+    type: String,
+    required: [true, 'Amenity key is required'],
+    unique: true,
+    trim: true,
+    match: [/^[a-z][A-Za-z0-9]*$/, 'Amenity key must be camelCase letters and digits']
+  },
+
+  // Display names
+  translations: {
+    en: {
+      name: {
+        type: String,
+        required: [true, 'English name is required'],
+        trim: true
+      }
+    },
+    ar: {
+      name: {
+        type: String,
+        required: [true, 'Arabic name is required'],
+        trim: true
+      }
+    },
+    he: {
+      name: {
+        type: String,
+        required: [true, 'Hebrew name is required'],
+        trim: true
+      }
+    }
+  },
+
+  // Icon name used by the frontend (optional)
+  icon: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  // Display order (ascending)
+  order: {
+    type: Number,
+    default: 0
+  },
+
+  // Inactive amenities stay on listings but can't be added to new ones
+  active: {
+    type: Boolean,
+    default: true
+  }
+
+}, {
+  timestamps: true
+});
+
+// ==================== INDEXES ====================
+amenitySchema.index({ order: 1 });
+
+// ==================== STATIC METHODS ====================
+
+// Built-in amenities created on first use
+amenitySchema.statics.DEFAULT_AMENITIES = [
+  { key: 'parking', order: 10, icon: 'parking', translations: { en: { name: 'Parking' }, ar: { name: 'موقف سيارات' }, he: { name: 'חניה' } } },
+  { key: 'elevator', order: 20, icon: 'elevator', translations: { en: { name: 'Elevator' }, ar: { name: 'مصعد' }, he: { name: 'מעלית' } } },
+  { key: 'safeRoom', order: 30, icon: 'shield', translations: { en: { name: 'Safe room (Mamad)' }, ar: { name: 'غرفة محصنة' }, he: { name: 'ממ"ד' } } },
+  { key: 'balcony', order: 40, icon: 'balcony', translations: { en: { name: 'Balcony' }, ar: { name: 'شرفة' }, he: { name: 'מרפסת' } } },
+  { key: 'storage', order: 50, icon: 'storage', translations: { en: { name: 'Storage room' }, ar: { name: 'مخزن' }, he: { name: 'מחסן' } } },
+  { key: 'accessible', order: 60, icon: 'accessible', translations: { en: { name: 'Accessible' }, ar: { name: 'ملائم لذوي الاحتياجات الخاصة' }, he: { name: 'גישה לנכים' } } },
+  { key: 'airConditioning', order: 70, icon: 'snowflake', translations: { en: { name: 'Air conditioning' }, ar: { name: 'تكييف' }, he: { name: 'מיזוג אוויר' } } },
+  { key: 'garden', order: 80, icon: 'tree', translations: { en: { name: 'Garden' }, ar: { name: 'حديقة' }, he: { name: 'גינה' } } },
+  { key: 'solarWaterHeater', order: 90, icon: 'sun', translations: { en: { name: 'Solar water heater' }, ar: { name: 'سخان شمسي' }, he: { name: 'דוד שמש' } } }
+];
+
+module.exports = mongoose.model('Amenity', amenitySchema);
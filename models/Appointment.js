@@ -0,0 +1,152 @@
+// backend/models/Appointment.js
+const mongoose = require('mongoose');
+
+// Appointments in these statuses hold the agent's time slot
+const ACTIVE_STATUSES = ['requested', 'scheduled'];
+
+const appointmentSchema = new mongoose.Schema({
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: [true, 'Lead reference is required']
+  },
+
+  // Property to be viewed
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project reference is required']
+  },
+
+  // Agent running the viewing (may be empty for website requests not yet confirmed)
+  teamMember: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TeamMember',
+    default: null
+  },
+
+  startAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+
+  endAt: {
+    type: Date,
+    required: [true, 'End time is required']
+  },
+
+  // - requested : asked for by a website visitor, waiting for confirmation
+  // - scheduled : confirmed with the agent
+  status: {
+    type: String,
+    enum: ['requested', 'scheduled', 'cancelled', 'completed'],
+    default: 'scheduled'
+  },
+
+  source: {
+    type: String,
+    enum: ['admin', 'website'],
+    default: 'admin'
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  cancelReason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+
+  // Previous slots, most recent last (also used as the .ics SEQUENCE)
+  rescheduleHistory: [{
+    _id: false,
+    startAt: Date,
+    endAt: Date,
+    teamMember: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TeamMember'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    }
+  }],
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+// ==================== INDEXES ====================
+appointmentSchema.index({ teamMember: 1, startAt: 1, endAt: 1 });
+appointmentSchema.index({ status: 1, startAt: 1 });
+appointmentSchema.index({ lead: 1, startAt: -1 });
+appointmentSchema.index({ project: 1, startAt: -1 });
+
+// ==================== VIRTUAL PROPERTIES ====================
+
+appointmentSchema.virtual('durationMinutes').get(function() {
+  return Math.round((this.endAt - this.startAt) / 60000);
+});
+
+appointmentSchema.virtual('isActive').get(function() {
+  return ACTIVE_STATUSES.includes(this.status);
+});
+
+// ==================== HOOKS ====================
+
+appointmentSchema.pre('validate', function(next) {
+  if (this.startAt && this.endAt && this.endAt <= this.startAt) {
+    this.invalidate('endAt', 'End time must be after start time');
+  }
+  if (this.status === 'scheduled' && !this.teamMember) {
+    this.invalidate('teamMember', 'A scheduled appointment needs an agent');
+  }
+  next();
+});
+
+appointmentSchema.pre('save', function(next) {
+  if (this.isModified('status')) {
+    this.cancelledAt = this.status === 'cancelled' ? (this.cancelledAt || new Date()) : null;
+  }
+  next();
+});
+
+// ==================== STATIC METHODS ====================
+
+appointmentSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+// Active appointments of an agent overlapping [startAt, endAt)
+appointmentSchema.statics.findConflicts = function(teamMemberId, startAt, endAt, excludeId = null) {
+  const query = {
+    teamMember: teamMemberId,
+    status: { $in: ACTIVE_STATUSES },
+    startAt: { $lt: endAt },
+    endAt: { $gt: startAt }
+  };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  return this.find(query).select('startAt endAt status lead project').sort({ startAt: 1 });
+};
+
+module.exports = mongoose.model('Appointment', appointmentSchema);
@@ -0,0 +1,79 @@
+// backend/models/BlockedSender.js
+const mongoose = require('mongoose');
+
+const blockedSenderSchema = new mongoose.Schema({
+  // What the value identifies
+  type: {
+    type: String,
+    enum: ['email', 'domain', 'ip'],
+    required: [true, 'Block type is required']
+  },
+
+  value: {
+    type: String,
+    required: [true, 'Block value is required'],
+    trim: true,
+    lowercase: true
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Lead that caused the block (when added by marking a lead as spam)
+  sourceLead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    default: null
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+// ==================== INDEXES ====================
+blockedSenderSchema.index({ type: 1, value: 1 }, { unique: true });
+blockedSenderSchema.index({ sourceLead: 1 });
+
+// ==================== STATIC METHODS ====================
+
+// Find the first block matching any of the sender's identifiers
+blockedSenderSchema.statics.findMatch = function({ email, ipAddress } = {}) {
+  const conditions = [];
+
+  if (email) {
+    const normalizedEmail = email.trim().toLowerCase();
+    conditions.push({ type: 'email', value: normalizedEmail });
+    conditions.push({ type: 'domain', value: normalizedEmail.split('@').pop() });
+  }
+  if (ipAddress) {
+    conditions.push({ type: 'ip', value: ipAddress });
+  }
+
+  if (conditions.length === 0) return Promise.resolve(null);
+  return this.findOne({ $or: conditions });
+};
+
+// Add a block, ignoring it if it already exists
+blockedSenderSchema.statics.block = function(type, value, extra = {}) {
+  const normalizedValue = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (!normalizedValue) {
+    return Promise.reject(new Error(`Cannot block an empty ${type}`));
+  }
+
+  return this.findOneAndUpdate(
+    { type, value: normalizedValue },
+    { $setOnInsert: { type, value: normalizedValue, ...extra } },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+module.exports = mongoose.model('BlockedSender', blockedSenderSchema);
@@ -0,0 +1,53 @@
+// backend/models/CurrencyRate.js
+const mongoose = require('mongoose');
+
+// Listing prices are normalized to this currency (Project.normalizedPrice)
+const BASE_CURRENCY = 'ILS';
+
+const currencyRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    unique: true,
+    enum: ['ILS', 'USD', 'EUR']
+  },
+
+  // Value of 1 unit of the currency in BASE_CURRENCY (e.g. USD: 3.7)
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be greater than 0']
+  },
+
+  // - default : built-in value, never updated
+  // - manual  : set by an admin
+  // - file    : imported from CURRENCY_RATES_FILE
+  source: {
+    type: String,
+    enum: ['default', 'manual', 'file'],
+    default: 'manual'
+  },
+
+  // Admin who set the rate (null for default / imported rates)
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+// ==================== STATIC METHODS ====================
+
+currencyRateSchema.statics.BASE_CURRENCY = BASE_CURRENCY;
+
+// Approximate rates used until an admin (or the importer) sets real ones
+currencyRateSchema.statics.DEFAULT_RATES = [
+  { currency: 'ILS', rate: 1, source: 'default' },
+  { currency: 'USD', rate: 3.7, source: 'default' },
+  { currency: 'EUR', rate: 4, source: 'default' }
+];
+
+module.exports = mongoose.model('CurrencyRate', currencyRateSchema);
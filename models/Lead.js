@@ -1,5 +1,10 @@
 // backend/models/Lead.js
 const mongoose = require('mongoose');
+const LeadActivity = require('./LeadActivity');
+const pipelineService = require('../services/pipelineService');
+
+// Sources fed by messaging / call-tracking webhooks (the client's email may be unknown)
+const CHANNEL_SOURCES = ['WhatsApp', 'Phone Call', 'Facebook', 'Instagram'];
 
 const leadSchema = new mongoose.Schema({
   // ==================== CLIENT INFORMATION (From Contact Form) ====================
@@ -13,7 +18,7 @@ const leadSchema = new mongoose.Schema({
 
   email: {
     type: String,
-    required: [true, 'Email is required'],
+    required: [function() { return !CHANNEL_SOURCES.includes(this.source); }, 'Email is required'],
     trim: true,
     lowercase: true,
     match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
@@ -25,6 +30,12 @@ const leadSchema = new mongoose.Schema({
     trim: true
   },
 
+  // Digits-only phone used for duplicate detection (set automatically)
+  normalizedPhone: {
+    type: String,
+    default: null
+  },
+
   inquiryType: {
     type: String,
     enum: ['buying', 'selling', 'renting', 'land', 'consulting'],
@@ -37,14 +48,62 @@ const leadSchema = new mongoose.Schema({
     trim: true
   },
 
+  // Property or course page the lead was submitted from (optional)
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null
+  },
+
+  // Client's website language (used for the acknowledgement email)
+  language: {
+    type: String,
+    enum: ['en', 'ar', 'he'],
+    default: 'en'
+  },
+
   // ==================== LEAD MANAGEMENT (Admin-editable) ====================
   
+  // Pipeline stage key (see models/PipelineStage.js)
   status: {
     type: String,
-    enum: ['New', 'Contacted', 'InProgress', 'Closed'],
-    default: 'New'
+    default: 'New',
+    validate: {
+      validator: async function(value) {
+        return Boolean(await pipelineService.getStage(value));
+      },
+      message: props => `\`${props.value}\` is not a valid pipeline stage`
+    }
+  },
+
+  // Required when the lead is in a 'lost' stage
+  lostReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  // When the lead entered its current stage
+  stageEnteredAt: {
+    type: Date,
+    default: null
   },
 
+  // Time spent in each stage
+  stageHistory: [{
+    _id: false,
+    stage: String,
+    enteredAt: Date,
+    exitedAt: { type: Date, default: null },
+    durationMs: { type: Number, default: null }
+  }],
+
   priority: {
     type: String,
     enum: ['High', 'Medium', 'Low'],
@@ -64,12 +123,43 @@ const leadSchema = new mongoose.Schema({
     default: null
   },
 
+  // Why the lead was auto-assigned (set by the routing engine)
+  routing: {
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LeadRoutingRule',
+      default: null
+    },
+    ruleName: {
+      type: String,
+      default: null
+    },
+    strategy: {
+      type: String,
+      enum: ['round_robin', 'specialty', 'load', null],
+      default: null
+    },
+    reason: {
+      type: String,
+      default: null
+    },
+    candidates: {
+      type: Number,
+      default: null
+    },
+    routedAt: {
+      type: Date,
+      default: null
+    }
+  },
+
   // ==================== TRACKING ====================
   
   source: {
     type: String,
     enum: [
       'Website Contact Form',
+      'Website Viewing Request',
       'WhatsApp',
       'Phone Call',
       'Referral',
@@ -91,8 +181,20 @@ const leadSchema = new mongoose.Schema({
     default: null
   },
 
+  // Set when a lead stayed in 'New' past the SLA (see services/leadScheduler.js)
+  escalatedAt: {
+    type: Date,
+    default: null
+  },
+
   // ==================== METADATA ====================
-  
+
+  // Provider event IDs ('provider:eventId') already applied to this lead (webhook idempotency)
+  externalIds: {
+    type: [String],
+    default: []
+  },
+
   ipAddress: {
     type: String,
     default: null
@@ -106,18 +208,61 @@ const leadSchema = new mongoose.Schema({
   isSpam: {
     type: Boolean,
     default: false
+  },
+
+  // Heuristic spam score and the signals that produced it
+  spamScore: {
+    type: Number,
+    default: 0
+  },
+
+  spamReasons: {
+    type: [String],
+    default: []
+  },
+
+  // ==================== DEDUPLICATION ====================
+
+  // Earliest existing lead from the same client (detected on create)
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    default: null
+  },
+
+  // Set when this lead was merged into another one (the lead is archived)
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    default: null
   }
 
 }, {
   timestamps: true // Creates createdAt and updatedAt automatically
 });
 
+// Fields the admin lead list can be sorted by
+const LIST_SORT_FIELDS = ['createdAt', 'updatedAt', 'priority', 'status', 'assignee'];
+
+// Escape user input before building a RegExp from it
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 // ==================== INDEXES ====================
 leadSchema.index({ status: 1, createdAt: -1 });
 leadSchema.index({ assignedTo: 1, status: 1 });
 leadSchema.index({ inquiryType: 1 });
 leadSchema.index({ priority: 1 });
 leadSchema.index({ createdAt: -1 });
+leadSchema.index({ ipAddress: 1, createdAt: -1 });
+leadSchema.index({ email: 1, createdAt: -1 });
+leadSchema.index({ normalizedPhone: 1 });
+leadSchema.index({ externalIds: 1 });
+leadSchema.index({ project: 1, createdAt: -1 });
+leadSchema.index({ course: 1, createdAt: -1 });
+leadSchema.index({ status: 1, escalatedAt: 1, createdAt: 1 });
+// Default admin list (non-archived, non-spam) sorted by creation or last update
+leadSchema.index({ isArchived: 1, isSpam: 1, createdAt: -1 });
+leadSchema.index({ isArchived: 1, isSpam: 1, updatedAt: -1 });
 
 // ==================== VIRTUAL PROPERTIES ====================
 
@@ -129,8 +274,15 @@ leadSchema.virtual('isNew').get(function() {
 
 // ==================== INSTANCE METHODS ====================
 
+// Set the admin responsible for the next save (used by the activity log)
+leadSchema.methods.setActor = function(adminId) {
+  this.$locals.actor = adminId || null;
+  return this;
+};
+
 // Method to mark lead as contacted
-leadSchema.methods.markAsContacted = function() {
+leadSchema.methods.markAsContacted = function(adminId) {
+  if (adminId !== undefined) this.setActor(adminId);
   this.status = 'Contacted';
   if (!this.contactedAt) {
     this.contactedAt = new Date();
@@ -139,8 +291,15 @@ leadSchema.methods.markAsContacted = function() {
 };
 
 // Method to close lead
-leadSchema.methods.closeLead = function() {
-  this.status = 'Closed';
+// outcome: 'won' (default) or 'lost' (requires lostReason)
+leadSchema.methods.closeLead = async function(adminId, { outcome = 'won', lostReason } = {}) {
+  if (adminId !== undefined) this.setActor(adminId);
+
+  const stage = await pipelineService.getFirstStage(outcome === 'lost' ? 'lost' : 'won');
+  this.status = stage ? stage.key : 'Closed';
+  if (lostReason !== undefined) {
+    this.lostReason = lostReason;
+  }
   if (!this.closedAt) {
     this.closedAt = new Date();
   }
@@ -148,15 +307,53 @@ leadSchema.methods.closeLead = function() {
 };
 
 // Method to assign lead to team member
-leadSchema.methods.assignTo = function(teamMemberId) {
+leadSchema.methods.assignTo = function(teamMemberId, adminId) {
+  if (adminId !== undefined) this.setActor(adminId);
   this.assignedTo = teamMemberId;
   return this.save();
 };
 
+// Append a note to the activity log without touching the current `notes` field
+leadSchema.methods.addNote = function(note, adminId) {
+  return LeadActivity.record({
+    lead: this._id,
+    type: 'note',
+    note,
+    actor: adminId || null
+  });
+};
+
 // ==================== STATIC METHODS ====================
 
-// Get all leads with optional filters
-leadSchema.statics.getFilteredLeads = function(filters = {}) {
+// Normalize a phone number for comparison (Israeli +972 / 00972 → 0)
+leadSchema.statics.normalizePhone = function(phoneNumber) {
+  if (!phoneNumber) return null;
+  let digits = String(phoneNumber).replace(/\D/g, '');
+  if (digits.startsWith('00')) digits = digits.slice(2);
+  if (digits.startsWith('972')) digits = `0${digits.slice(3)}`;
+  return digits || null;
+};
+
+// Find other (not merged) leads from the same client by email or phone
+leadSchema.statics.findDuplicates = function({ _id, email, phoneNumber } = {}) {
+  const conditions = [];
+  if (email) conditions.push({ email: email.trim().toLowerCase() });
+
+  const normalizedPhone = this.normalizePhone(phoneNumber);
+  if (normalizedPhone) conditions.push({ normalizedPhone });
+
+  if (conditions.length === 0) return Promise.resolve([]);
+
+  const query = { $or: conditions, mergedInto: null };
+  if (_id) query._id = { $ne: _id };
+
+  return this.find(query)
+    .populate('assignedTo', 'translations.en.name translations.ar.name translations.he.name role email')
+    .sort({ createdAt: 1 });
+};
+
+// Build the MongoDB query for the admin lead filters
+leadSchema.statics.buildFilterQuery = function(filters = {}) {
   const query = {};
 
   // Filter by status
@@ -174,10 +371,12 @@ leadSchema.statics.getFilteredLeads = function(filters = {}) {
     query.priority = filters.priority;
   }
 
-  // Filter by assigned team member
+  // Filter by assigned team member (cast so the query also works in aggregations)
   if (filters.assignedTo) {
     if (filters.assignedTo === 'unassigned') {
       query.assignedTo = null;
+    } else if (mongoose.isValidObjectId(filters.assignedTo)) {
+      query.assignedTo = new mongoose.Types.ObjectId(filters.assignedTo.toString());
     } else {
       query.assignedTo = filters.assignedTo;
     }
@@ -194,6 +393,25 @@ leadSchema.statics.getFilteredLeads = function(filters = {}) {
     }
   }
 
+  // Free-text search (substring, case-insensitive)
+  // (String: a repeated ?search= arrives as an array)
+  if (filters.search && String(filters.search).trim()) {
+    const term = String(filters.search).trim();
+    const pattern = new RegExp(escapeRegex(term), 'i');
+    query.$or = [
+      { fullName: pattern },
+      { email: pattern },
+      { phoneNumber: pattern },
+      { message: pattern }
+    ];
+
+    // "052 123" should find "+972-52-123..."
+    const digits = this.normalizePhone(term);
+    if (digits && digits.length >= 3 && /^[\d\s()+-]+$/.test(term)) {
+      query.$or.push({ normalizedPhone: new RegExp(escapeRegex(digits)) });
+    }
+  }
+
   // Exclude archived/spam unless explicitly requested
   if (!filters.includeArchived) {
     query.isArchived = false;
@@ -202,12 +420,129 @@ leadSchema.statics.getFilteredLeads = function(filters = {}) {
     query.isSpam = false;
   }
 
-  return this.find(query)
+  return query;
+};
+
+// Get all leads with optional filters
+leadSchema.statics.getFilteredLeads = function(filters = {}) {
+  return this.find(this.buildFilterQuery(filters))
     .populate('assignedTo', 'translations.en.name translations.ar.name translations.he.name role email')
     .sort({ createdAt: -1 });
 };
 
+// Get one page of leads with filters, search and sorting
+// options: { page, limit, sortBy, sortOrder } - no limit returns all matches
+leadSchema.statics.getLeadsPage = async function(filters = {}, options = {}) {
+  const sortBy = LIST_SORT_FIELDS.includes(options.sortBy) ? options.sortBy : 'createdAt';
+  const direction = options.sortOrder === 'asc' ? 1 : -1;
+  const limit = options.limit ? Math.min(Math.max(parseInt(options.limit, 10) || 1, 1), 100) : null;
+  const page = Math.max(parseInt(options.page, 10) || 1, 1);
+
+  const query = this.buildFilterQuery(filters);
+  const pipeline = [{ $match: query }];
+
+  // Priority and status sort by their business order, not alphabetically
+  if (sortBy === 'priority' || sortBy === 'status') {
+    const order = sortBy === 'status'
+      ? (await pipelineService.getStages()).map(stage => stage.key)
+      : this.schema.path('priority').enumValues;
+    pipeline.push({ $addFields: { _sortKey: { $indexOfArray: [order, `$${sortBy}`] } } });
+  } else if (sortBy === 'assignee') {
+    pipeline.push(
+      {
+        $lookup: {
+          from: mongoose.model('TeamMember').collection.name,
+          localField: 'assignedTo',
+          foreignField: '_id',
+          as: '_assignee'
+        }
+      },
+      { $addFields: { _sortKey: { $first: '$_assignee.translations.en.name' } } },
+      { $project: { _assignee: 0 } }
+    );
+  }
+
+  const sort = ['createdAt', 'updatedAt'].includes(sortBy)
+    ? { [sortBy]: direction, _id: direction }
+    : { _sortKey: direction, createdAt: -1, _id: -1 };
+  pipeline.push({ $sort: sort });
+
+  if (limit) {
+    pipeline.push({ $skip: (page - 1) * limit }, { $limit: limit });
+  }
+  if (!['createdAt', 'updatedAt'].includes(sortBy)) {
+    pipeline.push({ $project: { _sortKey: 0 } });
+  }
+
+  const [docs, total] = await Promise.all([
+    this.aggregate(pipeline),
+    this.countDocuments(query)
+  ]);
+
+  const leads = docs.map(doc => this.hydrate(doc));
+  await this.populate(leads, {
+    path: 'assignedTo',
+    select: 'translations.en.name translations.ar.name translations.he.name role email'
+  });
+
+  return {
+    leads,
+    total,
+    page: limit ? page : 1,
+    limit: limit || total,
+    pages: limit ? Math.ceil(total / limit) : 1
+  };
+};
+
+// Count open (not closed, archived or spam) leads per team member
+leadSchema.statics.getOpenLeadCounts = async function(teamMemberIds = []) {
+  const closedStages = await pipelineService.getKeysByCategory('won', 'lost');
+  const results = await this.aggregate([
+    {
+      $match: {
+        assignedTo: { $in: teamMemberIds },
+        status: { $nin: closedStages },
+        isArchived: false,
+        isSpam: false
+      }
+    },
+    { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+  ]);
+
+  return results.reduce((counts, row) => {
+    counts[row._id.toString()] = row.count;
+    return counts;
+  }, {});
+};
+
+// Number of (non-spam) leads per project, most inquired first
+// options: { since, until, projectIds, limit }
+leadSchema.statics.getProjectInterestCounts = function(options = {}) {
+  const match = { project: { $ne: null }, isSpam: false };
+
+  if (options.projectIds) {
+    match.project = { $in: options.projectIds.map(id => new mongoose.Types.ObjectId(id.toString())) };
+  }
+  if (options.since || options.until) {
+    match.createdAt = {};
+    if (options.since) match.createdAt.$gte = new Date(options.since);
+    if (options.until) match.createdAt.$lte = new Date(options.until);
+  }
+
+  const pipeline = [
+    { $match: match },
+    { $group: { _id: '$project', leads: { $sum: 1 }, lastLeadAt: { $max: '$createdAt' } } },
+    { $sort: { leads: -1, lastLeadAt: -1 } }
+  ];
+  if (options.limit) {
+    pipeline.push({ $limit: options.limit });
+  }
+
+  return this.aggregate(pipeline);
+};
+
 // Get lead statistics
+// closed = won + lost; byStage has a count for every pipeline stage
 leadSchema.statics.getStats = async function(adminId = null) {
   const matchQuery = { isArchived: false, isSpam: false };
   
@@ -216,58 +551,211 @@ leadSchema.statics.getStats = async function(adminId = null) {
     matchQuery.assignedTo = adminId;
   }
 
-  const stats = await this.aggregate([
+  const stages = await pipelineService.getStages();
+  const keysOf = category => stages.filter(stage => stage.category === category).map(stage => stage.key);
+
+  const rows = await this.aggregate([
+    { $match: matchQuery },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const byStage = stages.reduce((counts, stage) => {
+    counts[stage.key] = 0;
+    return counts;
+  }, {});
+  rows.forEach(row => {
+    byStage[row._id] = row.count;
+  });
+
+  const sumOf = keys => keys.reduce((sum, key) => sum + (byStage[key] || 0), 0);
+  const won = sumOf(keysOf('won'));
+  const lost = sumOf(keysOf('lost'));
+
+  return {
+    total: rows.reduce((sum, row) => sum + row.count, 0),
+    new: byStage.New || 0,
+    contacted: byStage.Contacted || 0,
+    inProgress: byStage.InProgress || 0,
+    closed: won + lost,
+    won,
+    lost,
+    byStage
+  };
+};
+
+// Average time spent in each stage (from stageHistory)
+leadSchema.statics.getStageDurations = async function(adminId = null) {
+  const matchQuery = { isArchived: false, isSpam: false };
+  if (adminId) {
+    matchQuery.assignedTo = adminId;
+  }
+
+  const rows = await this.aggregate([
     { $match: matchQuery },
+    { $unwind: '$stageHistory' },
+    { $match: { 'stageHistory.durationMs': { $ne: null } } },
     {
       $group: {
-        _id: null,
-        total: { $sum: 1 },
-        new: {
-          $sum: {
-            $cond: [{ $eq: ['$status', 'New'] }, 1, 0]
-          }
-        },
-        contacted: {
-          $sum: {
-            $cond: [{ $eq: ['$status', 'Contacted'] }, 1, 0]
-          }
-        },
-        inProgress: {
-          $sum: {
-            $cond: [{ $eq: ['$status', 'InProgress'] }, 1, 0]
-          }
-        },
-        closed: {
-          $sum: {
-            $cond: [{ $eq: ['$status', 'Closed'] }, 1, 0]
-          }
-        }
+        _id: '$stageHistory.stage',
+        count: { $sum: 1 },
+        avgDurationMs: { $avg: '$stageHistory.durationMs' },
+        maxDurationMs: { $max: '$stageHistory.durationMs' }
       }
     }
   ]);
 
-  return stats[0] || {
-    total: 0,
-    new: 0,
-    contacted: 0,
-    inProgress: 0,
-    closed: 0
-  };
+  const stages = await pipelineService.getStages();
+  return stages.map(stage => {
+    const row = rows.find(r => r._id === stage.key);
+    return {
+      stage: stage.key,
+      count: row ? row.count : 0,
+      avgHours: row ? Math.round((row.avgDurationMs / 36e5) * 10) / 10 : null,
+      maxHours: row ? Math.round((row.maxDurationMs / 36e5) * 10) / 10 : null
+    };
+  });
 };
 
 // ==================== HOOKS ====================
 
-// Auto-update contactedAt when status changes to Contacted
+// Fields whose changes are written to the activity log
+const TRACKED_FIELDS = ['status', 'priority', 'assignedTo', 'notes', 'contactedAt', 'closedAt', 'isSpam', 'escalatedAt'];
+
+const snapshotTrackedFields = (doc) => {
+  const snapshot = {};
+  TRACKED_FIELDS.forEach(field => {
+    snapshot[field] = doc.get(field) ?? null;
+  });
+  return snapshot;
+};
+
+const toLogValue = (value) => (value && value.toString ? value.toString() : value ?? null);
+
+// Remember the persisted values so the save hook can log transitions
+leadSchema.post('init', function() {
+  this.$locals.snapshot = snapshotTrackedFields(this);
+});
+
+// A lead in a 'lost' stage must say why
+leadSchema.pre('validate', async function() {
+  if (!this.isModified('status') && !this.isModified('lostReason')) return;
+
+  const stage = await pipelineService.getStage(this.status);
+  if (stage && stage.category === 'lost' && !this.lostReason) {
+    this.invalidate('lostReason', 'Lost reason is required when a lead is lost');
+  }
+});
+
+// Stage side effects: contactedAt / closedAt and stage-duration tracking
+leadSchema.pre('save', async function() {
+  if (!this.$isNew && !this.isModified('status')) return;
+
+  const now = new Date();
+  const stage = await pipelineService.getStage(this.status);
+  const category = stage ? stage.category : null;
+
+  if (category === 'open' && !this.contactedAt) {
+    this.contactedAt = now;
+  }
+  if (category === 'won' || category === 'lost') {
+    if (!this.closedAt) {
+      this.closedAt = now;
+    }
+  } else {
+    // Reopened: no longer closed or lost
+    this.closedAt = null;
+    this.lostReason = null;
+  }
+  if (category === 'won') {
+    this.lostReason = null;
+  }
+
+  // Close the previous stage entry and open a new one
+  const current = this.stageHistory[this.stageHistory.length - 1];
+  if (current && !current.exitedAt) {
+    current.exitedAt = now;
+    current.durationMs = now - current.enteredAt;
+  } else if (!this.$isNew && this.$locals.snapshot?.status) {
+    // Lead created before stage tracking existed
+    const enteredAt = this.stageEnteredAt || this.createdAt || now;
+    this.stageHistory.push({ stage: this.$locals.snapshot.status, enteredAt, exitedAt: now, durationMs: now - enteredAt });
+  }
+  this.stageHistory.push({ stage: this.status, enteredAt: now });
+  this.stageEnteredAt = now;
+});
+
+// Keep normalizedPhone in sync and flag duplicates of existing leads
+leadSchema.pre('save', async function() {
+  if (this.isModified('phoneNumber') || !this.normalizedPhone) {
+    this.normalizedPhone = this.constructor.normalizePhone(this.phoneNumber);
+  }
+
+  if (this.$isNew && !this.duplicateOf) {
+    const [original] = await this.constructor.findDuplicates(this);
+    if (original) {
+      this.duplicateOf = original._id;
+    }
+  }
+});
+
+// Build activity entries for this save (written in post-save)
 leadSchema.pre('save', function(next) {
-  if (this.isModified('status')) {
-    if (this.status === 'Contacted' && !this.contactedAt) {
-      this.contactedAt = new Date();
+  const entries = [];
+
+  if (this.$isNew) {
+    entries.push({ type: 'created', to: this.status });
+    if (this.assignedTo) {
+      entries.push({ type: 'assigned', from: null, to: toLogValue(this.assignedTo) });
+    }
+    if (this.notes) {
+      entries.push({ type: 'note', note: this.notes });
+    }
+  } else {
+    const before = this.$locals.snapshot || {};
+
+    if (this.isModified('status') && before.status !== this.status) {
+      entries.push({ type: 'status_changed', from: before.status ?? null, to: this.status, note: this.lostReason || '' });
+    }
+    if (this.isModified('priority') && before.priority !== this.priority) {
+      entries.push({ type: 'priority_changed', from: before.priority ?? null, to: this.priority });
     }
-    if (this.status === 'Closed' && !this.closedAt) {
-      this.closedAt = new Date();
+    if (this.isModified('assignedTo') && toLogValue(before.assignedTo) !== toLogValue(this.assignedTo)) {
+      entries.push({ type: 'assigned', from: toLogValue(before.assignedTo), to: toLogValue(this.assignedTo) });
+    }
+    if (this.isModified('notes') && this.notes && before.notes !== this.notes) {
+      entries.push({ type: 'note', note: this.notes });
+    }
+    if (this.isModified('contactedAt') && this.contactedAt && !before.contactedAt) {
+      entries.push({ type: 'contacted', to: this.contactedAt });
+    }
+    if (this.isModified('closedAt') && this.closedAt && !before.closedAt) {
+      entries.push({ type: 'closed', to: this.closedAt });
+    }
+    if (this.isModified('escalatedAt') && this.escalatedAt && !before.escalatedAt) {
+      entries.push({ type: 'escalated', to: this.escalatedAt });
+    }
+    if (this.isModified('isSpam') && Boolean(before.isSpam) !== this.isSpam) {
+      entries.push({ type: 'spam_changed', from: Boolean(before.isSpam), to: this.isSpam });
     }
   }
+
+  this.$locals.pendingActivity = entries;
   next();
 });
 
+// Persist the activity entries and refresh the snapshot
+leadSchema.post('save', async function(doc) {
+  const entries = doc.$locals.pendingActivity || [];
+  const actor = doc.$locals.actor || null;
+  doc.$locals.pendingActivity = [];
+  doc.$locals.snapshot = snapshotTrackedFields(doc);
+
+  try {
+    await LeadActivity.record(entries.map(entry => ({ ...entry, lead: doc._id, actor })));
+  } catch (error) {
+    // The lead itself was saved; a logging failure should not fail the request
+    console.error('Failed to record lead activity:', error.message);
+  }
+});
+
 module.exports = mongoose.model('Lead', leadSchema);
\ No newline at end of file
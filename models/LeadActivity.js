@@ -0,0 +1,88 @@
+// backend/models/LeadActivity.js
+const mongoose = require('mongoose');
+
+const ACTIVITY_TYPES = [
+  'created',
+  'note',
+  'status_changed',
+  'priority_changed',
+  'assigned',
+  'contacted',
+  'closed',
+  'spam_changed',
+  'merged',
+  'escalated',
+  'task_created',
+  'task_completed',
+  'task_overdue',
+  'appointment_scheduled',
+  'appointment_rescheduled',
+  'appointment_cancelled',
+  'message_received'
+];
+
+const leadActivitySchema = new mongoose.Schema({
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: [true, 'Lead reference is required']
+  },
+
+  type: {
+    type: String,
+    enum: ACTIVITY_TYPES,
+    required: [true, 'Activity type is required']
+  },
+
+  // Previous and new value for change events (status, priority, assignee)
+  from: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  to: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Free text for notes
+  note: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Admin who performed the action (null for public/system actions)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+
+}, {
+  // Append-only log: entries are never updated
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// ==================== INDEXES ====================
+leadActivitySchema.index({ lead: 1, createdAt: -1 });
+
+// ==================== STATIC METHODS ====================
+
+// Record one or more activity entries
+leadActivitySchema.statics.record = function(entries) {
+  const list = Array.isArray(entries) ? entries : [entries];
+  if (list.length === 0) return Promise.resolve([]);
+  return this.insertMany(list);
+};
+
+// Get the timeline for a lead (newest first)
+leadActivitySchema.statics.getTimeline = function(leadId) {
+  return this.find({ lead: leadId })
+    .populate('actor', 'firstName lastName email role')
+    .sort({ createdAt: -1 });
+};
+
+leadActivitySchema.statics.ACTIVITY_TYPES = ACTIVITY_TYPES;
+
+module.exports = mongoose.model('LeadActivity', leadActivitySchema);
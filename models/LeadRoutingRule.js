@@ -0,0 +1,96 @@
+// backend/models/LeadRoutingRule.js
+const mongoose = require('mongoose');
+
+const leadRoutingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true
+  },
+
+  // How a team member is picked from the candidate pool
+  // - round_robin: rotate through candidates in order
+  // - specialty: match lead.inquiryType against translations.en.specialties
+  // - load: pick the candidate with the fewest open leads
+  strategy: {
+    type: String,
+    enum: ['round_robin', 'specialty', 'load'],
+    required: [true, 'Routing strategy is required']
+  },
+
+  // Inquiry types this rule applies to (empty = all)
+  inquiryTypes: [{
+    type: String,
+    enum: ['buying', 'selling', 'renting', 'land', 'consulting']
+  }],
+
+  // Candidate team members (empty = all active team members)
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TeamMember'
+  }],
+
+  // Extra specialty keywords to match for the 'specialty' strategy
+  keywords: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+
+  // Lower order is evaluated first
+  order: {
+    type: Number,
+    default: 0
+  },
+
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  // Round-robin cursor (incremented atomically on every assignment)
+  roundRobinCounter: {
+    type: Number,
+    default: 0
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+// ==================== INDEXES ====================
+leadRoutingRuleSchema.index({ active: 1, order: 1 });
+
+// ==================== INSTANCE METHODS ====================
+
+// Check whether this rule applies to a lead
+leadRoutingRuleSchema.methods.matches = function(lead) {
+  if (!this.inquiryTypes || this.inquiryTypes.length === 0) return true;
+  return this.inquiryTypes.includes(lead.inquiryType);
+};
+
+// ==================== STATIC METHODS ====================
+
+// Get active rules in evaluation order
+leadRoutingRuleSchema.statics.getActiveRules = function() {
+  return this.find({ active: true }).sort({ order: 1, createdAt: 1 });
+};
+
+// Atomically advance the round-robin cursor and return its previous value
+leadRoutingRuleSchema.statics.nextRoundRobinIndex = async function(ruleId) {
+  const rule = await this.findByIdAndUpdate(
+    ruleId,
+    { $inc: { roundRobinCounter: 1 } },
+    { new: false }
+  ).select('roundRobinCounter');
+
+  return rule ? rule.roundRobinCounter : 0;
+};
+
+module.exports = mongoose.model('LeadRoutingRule', leadRoutingRuleSchema);
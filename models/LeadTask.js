@@ -0,0 +1,109 @@
+// backend/models/LeadTask.js
+const mongoose = require('mongoose');
+
+const leadTaskSchema = new mongoose.Schema({
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: [true, 'Lead reference is required']
+  },
+
+  description: {
+    type: String,
+    required: [true, 'Task description is required'],
+    trim: true
+  },
+
+  dueDate: {
+    type: Date,
+    required: [true, 'Due date is required']
+  },
+
+  // TeamMember responsible for the follow-up
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TeamMember',
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: ['open', 'done', 'cancelled'],
+    default: 'open'
+  },
+
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Set by the scheduler once an open task passes its due date
+  isOverdue: {
+    type: Boolean,
+    default: false
+  },
+
+  overdueFlaggedAt: {
+    type: Date,
+    default: null
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+// ==================== INDEXES ====================
+leadTaskSchema.index({ lead: 1, dueDate: 1 });
+leadTaskSchema.index({ assignee: 1, status: 1, dueDate: 1 });
+leadTaskSchema.index({ status: 1, isOverdue: 1, dueDate: 1 });
+
+// ==================== HOOKS ====================
+
+// Keep completedAt / isOverdue consistent with status and due date
+leadTaskSchema.pre('save', function(next) {
+  if (this.isModified('status')) {
+    this.completedAt = this.status === 'done' ? (this.completedAt || new Date()) : null;
+  }
+  if (this.isModified('dueDate') && this.dueDate > new Date()) {
+    this.isOverdue = false;
+    this.overdueFlaggedAt = null;
+  }
+  next();
+});
+
+// ==================== STATIC METHODS ====================
+
+// Get open tasks for a team member
+// due: 'today' | 'overdue' | 'upcoming' | 'all'
+leadTaskSchema.statics.getTasksFor = function(assigneeId, due = 'all') {
+  const query = { status: 'open' };
+  if (assigneeId) {
+    query.assignee = assigneeId;
+  }
+
+  const now = new Date();
+  const startOfDay = new Date(now);
+  startOfDay.setHours(0, 0, 0, 0);
+  const endOfDay = new Date(startOfDay.getTime() + 24 * 60 * 60 * 1000);
+
+  if (due === 'today') {
+    query.dueDate = { $gte: startOfDay, $lt: endOfDay };
+  } else if (due === 'overdue') {
+    query.dueDate = { $lt: now };
+  } else if (due === 'upcoming') {
+    query.dueDate = { $gte: now };
+  }
+
+  return this.find(query)
+    .populate('lead', 'fullName email phoneNumber status priority inquiryType')
+    .populate('assignee', 'translations.en.name translations.ar.name translations.he.name email')
+    .sort({ dueDate: 1 });
+};
+
+module.exports = mongoose.model('LeadTask', leadTaskSchema);
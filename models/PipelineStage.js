@@ -0,0 +1,86 @@
+// backend/models/PipelineStage.js
+const mongoose = require('mongoose');
+
+const pipelineStageSchema = new mongoose.Schema({
+  // Value stored in Lead.status (e.g. 'New', 'ViewingScheduled')
+  key: {
+    type: String,
+    required: [true, 'Stage key is required'],
+    unique: true,
+    trim: true,
+    match: [/^[A-Za-z][A-Za-z0-9]*$/, 'Stage key may only contain letters and digits']
+  },
+
+  // Display names
+  translations: {
+    en: {
+      name: {
+        type: String,
+        required: [true, 'English name is required'],
+        trim: true
+      }
+    },
+    ar: {
+      name: {
+        type: String,
+        required: [true, 'Arabic name is required'],
+        trim: true
+      }
+    },
+    he: {
+      name: {
+        type: String,
+        required: [true, 'Hebrew name is required'],
+        trim: true
+      }
+    }
+  },
+
+  // Position in the pipeline (ascending)
+  order: {
+    type: Number,
+    default: 0
+  },
+
+  // - new  : initial stage, client not contacted yet
+  // - open : being worked on (entering sets contactedAt)
+  // - won  : closed successfully (sets closedAt)
+  // - lost : closed unsuccessfully (sets closedAt, requires a lost reason)
+  category: {
+    type: String,
+    enum: ['new', 'open', 'won', 'lost'],
+    required: [true, 'Stage category is required']
+  },
+
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  // Built-in stages used by the existing routes (can't be deleted)
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+
+}, {
+  timestamps: true
+});
+
+// ==================== INDEXES ====================
+pipelineStageSchema.index({ order: 1 });
+
+// ==================== STATIC METHODS ====================
+
+// Built-in stages (the original Lead.status values plus won/lost outcomes)
+pipelineStageSchema.statics.DEFAULT_STAGES = [
+  { key: 'New', order: 0, category: 'new', isSystem: true, translations: { en: { name: 'New' }, ar: { name: 'جديد' }, he: { name: 'חדש' } } },
+  { key: 'Contacted', order: 10, category: 'open', isSystem: true, translations: { en: { name: 'Contacted' }, ar: { name: 'تم التواصل' }, he: { name: 'נוצר קשר' } } },
+  { key: 'InProgress', order: 20, category: 'open', isSystem: true, translations: { en: { name: 'In Progress' }, ar: { name: 'قيد المعالجة' }, he: { name: 'בטיפול' } } },
+  { key: 'ViewingScheduled', order: 30, category: 'open', translations: { en: { name: 'Viewing Scheduled' }, ar: { name: 'تم تحديد معاينة' }, he: { name: 'נקבע סיור' } } },
+  { key: 'OfferMade', order: 40, category: 'open', translations: { en: { name: 'Offer Made' }, ar: { name: 'تم تقديم عرض' }, he: { name: 'הוגשה הצעה' } } },
+  { key: 'Closed', order: 90, category: 'won', isSystem: true, translations: { en: { name: 'Won' }, ar: { name: 'تمت الصفقة' }, he: { name: 'נסגרה עסקה' } } },
+  { key: 'Lost', order: 100, category: 'lost', isSystem: true, translations: { en: { name: 'Lost' }, ar: { name: 'خسارة' }, he: { name: 'אבוד' } } }
+];
+
+module.exports = mongoose.model('PipelineStage', pipelineStageSchema);
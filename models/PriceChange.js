@@ -0,0 +1,73 @@
+// backend/models/PriceChange.js
+const mongoose = require('mongoose');
+
+const priceChangeSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project reference is required']
+  },
+
+  // null for the first price of a listing
+  oldPrice: {
+    type: Number,
+    default: null
+  },
+
+  newPrice: {
+    type: Number,
+    default: null
+  },
+
+  oldCurrency: {
+    type: String,
+    default: null
+  },
+
+  currency: {
+    type: String,
+    required: [true, 'Currency is required']
+  },
+
+  // Lower price in the same currency
+  isReduction: {
+    type: Boolean,
+    default: false
+  },
+
+  // Admin who made the change (create / update require an admin login)
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// ==================== INDEXES ====================
+priceChangeSchema.index({ project: 1, createdAt: -1 });
+priceChangeSchema.index({ isReduction: 1, createdAt: -1 });
+
+// ==================== VIRTUAL PROPERTIES ====================
+
+// Percentage change (null when not comparable)
+priceChangeSchema.virtual('changePercent').get(function() {
+  if (!this.oldPrice || this.newPrice === null || this.oldCurrency !== this.currency) return null;
+  return Math.round(((this.newPrice - this.oldPrice) / this.oldPrice) * 1000) / 10;
+});
+
+priceChangeSchema.set('toJSON', { virtuals: true });
+priceChangeSchema.set('toObject', { virtuals: true });
+
+// ==================== STATIC METHODS ====================
+
+// Price history of a project, newest first
+priceChangeSchema.statics.getHistory = function(projectId) {
+  return this.find({ project: projectId })
+    .populate('changedBy', 'firstName lastName email role')
+    .sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('PriceChange', priceChangeSchema);
@@ -1,5 +1,85 @@
 // backend/models/Project.js
 const mongoose = require('mongoose');
+const currencyService = require('../services/currencyService');
+
+const SQFT_TO_SQM = 0.09290304;
+
+// Area in square meters (used to filter/sort listings with different units)
+const toSqm = (area, unit) => {
+  if (area === null || area === undefined || area === '' || isNaN(area)) return null;
+  const sqm = unit === 'sqft' ? Number(area) * SQFT_TO_SQM : Number(area);
+  return Math.round(sqm * 100) / 100;
+};
+
+const LANGS = ['en', 'ar', 'he'];
+
+// Escape user input before building a RegExp from it
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lowercase, strip diacritics (Latin accents, Hebrew niqqud, Arabic harakat/tatweel),
+// unify Arabic letter variants and turn punctuation into spaces
+const normalizeSearchText = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .replace(/\u0640/g, '')
+  .replace(/ى/g, 'ي')
+  .replace(/ة/g, 'ه')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+// Normalized copy of the searchable text of all languages
+const buildSearchIndex = (translations = {}) => {
+  const collect = (field) => LANGS
+    .map(lang => {
+      const value = translations[lang] && translations[lang][field];
+      return Array.isArray(value) ? value.join(' ') : value;
+    })
+    .map(normalizeSearchText)
+    .filter(Boolean)
+    .join(' ');
+
+  return {
+    title: collect('title'),
+    location: collect('location'),
+    body: [collect('shortDesc'), collect('fullDesc'), collect('features')].filter(Boolean).join(' ')
+  };
+};
+
+// Numeric listing filters: [query param, integer only]
+const NUMERIC_FILTERS = [
+  ['minPrice', false], ['maxPrice', false],
+  ['minBedrooms', true], ['maxBedrooms', true],
+  ['minBathrooms', true], ['maxBathrooms', true],
+  ['minArea', false], ['maxArea', false],
+  // Rentals only (type=forRent)
+  ['minRent', false], ['maxRent', false],
+  ['leaseMonths', true]
+];
+
+// Filters that only make sense for rentals
+const RENTAL_FILTERS = ['minRent', 'maxRent', 'leaseMonths', 'furnished', 'petsPolicy', 'availableBy'];
+
+const PETS_POLICIES = ['allowed', 'notAllowed', 'onRequest'];
+
+const CONDITIONS = ['new', 'renovated', 'good', 'needsRenovation'];
+
+// Listing sort options (GET /api/projects?sort=)
+const LISTING_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  price_asc: { normalizedPrice: 1, createdAt: -1 },
+  price_desc: { normalizedPrice: -1, createdAt: -1 },
+  area_asc: { areaSqm: 1, createdAt: -1 },
+  area_desc: { areaSqm: -1, createdAt: -1 },
+  interest: { inquiryCount: -1, createdAt: -1 },
+  popular: { popularityScore: -1, viewCount: -1, createdAt: -1 },
+  rent_asc: { normalizedPricePerMonth: 1, createdAt: -1 },
+  rent_desc: { normalizedPricePerMonth: -1, createdAt: -1 }
+};
+
+// Statuses hidden from the public listing (scheduled = not live yet)
+const HIDDEN_STATUSES = ['deleted', 'scheduled', 'expired'];
 
 const projectSchema = new mongoose.Schema({
   // Multi-language content
@@ -78,6 +158,38 @@ const projectSchema = new mongoose.Schema({
     }
   },
 
+  // Structured location shared by all languages (lowercase English slugs, e.g. 'haifa', 'carmel')
+  city: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  neighborhood: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+
+  // Map position (GeoJSON Point, coordinates = [longitude, latitude])
+  geo: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined,
+      validate: {
+        validator: (value) => !value || (value.length === 2 &&
+          value[0] >= -180 && value[0] <= 180 &&
+          value[1] >= -90 && value[1] <= 90),
+        message: 'Coordinates must be [longitude, latitude]'
+      }
+    }
+  },
+
   // Pricing
   price: {
     type: Number,
@@ -89,10 +201,46 @@ const projectSchema = new mongoose.Schema({
     default: 'ILS',
     enum: ['ILS', 'USD', 'EUR']
   },
+  // Monthly rent (required for rentals, see validateRental)
   pricePerMonth: {
     type: Number,
     min: 0
   },
+  // Price / rent converted to the base currency (ILS) for sorting / filtering (set automatically)
+  normalizedPrice: {
+    type: Number,
+    default: null
+  },
+  normalizedPricePerMonth: {
+    type: Number,
+    default: null
+  },
+
+  // Lease terms (rentals)
+  deposit: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  minLeaseMonths: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  furnished: {
+    type: Boolean,
+    default: null
+  },
+  // null = available now
+  availableFrom: {
+    type: Date,
+    default: null
+  },
+  petsPolicy: {
+    type: String,
+    enum: [...PETS_POLICIES, null],
+    default: null
+  },
 
   // Property specifications
   bedrooms: {
@@ -112,6 +260,38 @@ const projectSchema = new mongoose.Schema({
     default: 'sqm',
     enum: ['sqm', 'sqft']
   },
+  // Area converted to sqm (set automatically from area + areaUnit)
+  areaSqm: {
+    type: Number,
+    default: null
+  },
+
+  // Amenity keys (see Amenity / amenityService), e.g. ['parking', 'elevator']
+  amenities: {
+    type: [String],
+    default: []
+  },
+
+  // Building / condition
+  floor: {
+    type: Number,
+    default: null
+  },
+  totalFloors: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  yearBuilt: {
+    type: Number,
+    min: 1800,
+    default: null
+  },
+  condition: {
+    type: String,
+    enum: [...CONDITIONS, null],
+    default: null
+  },
 
   // Property type
   type: {
@@ -122,12 +302,50 @@ const projectSchema = new mongoose.Schema({
   },
 
   // Status
+  // - scheduled : goes live at publishAt (listing scheduler)
+  // - expired   : taken offline at expiresAt (listing scheduler)
+  // - sold      : always together with type 'sold' and badge 'sold' (see resolveLifecycle)
   status: {
     type: String,
-    enum: ['active', 'draft', 'sold', 'deleted'],
+    enum: ['active', 'draft', 'scheduled', 'expired', 'sold', 'deleted'],
     default: 'active'
   },
 
+  // Lifecycle dates
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Last time the listing went live (used by the saved-search alerts)
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  expiredAt: {
+    type: Date,
+    default: null
+  },
+
+  // Sale (set when the listing is marked as sold)
+  soldAt: {
+    type: Date,
+    default: null
+  },
+  salePrice: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  saleCurrency: {
+    type: String,
+    enum: ['ILS', 'USD', 'EUR', null],
+    default: null
+  },
+
   // Display options
   featured: {
     type: Boolean,
@@ -135,7 +353,21 @@ const projectSchema = new mongoose.Schema({
   },
   badge: {
     type: String,
-    enum: ['new', 'exclusive', 'sold', null],
+    enum: ['new', 'exclusive', 'sold', 'priceReduced', null],
+    default: null
+  },
+
+  // Set automatically when the price drops (see getPriceUpdate)
+  priceReduced: {
+    type: Boolean,
+    default: false
+  },
+  previousPrice: {
+    type: Number,
+    default: null
+  },
+  priceReducedAt: {
+    type: Date,
     default: null
   },
 
@@ -147,6 +379,33 @@ const projectSchema = new mongoose.Schema({
   mainImage: {
     type: String,
     default: "https://placehold.co/800x600?text=Property+Image" // Allow empty string
+  },
+
+  // Normalized text used by the full-text search (set automatically)
+  searchIndex: {
+    title: { type: String, default: '', select: false },
+    location: { type: String, default: '', select: false },
+    body: { type: String, default: '', select: false }
+  },
+
+  // Number of leads submitted from this listing (for interest ranking)
+  inquiryCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Unique daily views since the listing exists (see ProjectView)
+  viewCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Recent views + weighted recent leads (listing scheduler, see projectViewService)
+  popularityScore: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true // Adds createdAt and updatedAt
@@ -157,7 +416,33 @@ projectSchema.index({ type: 1, status: 1 });
 projectSchema.index({ featured: 1 });
 projectSchema.index({ createdAt: -1 });
 projectSchema.index({ price: 1 });
-projectSchema.index({ 'translations.en.title': 'text' }); // Text search
+projectSchema.index({ inquiryCount: -1 });
+projectSchema.index({ status: 1, popularityScore: -1 });
+// Listing filters / sorts (status is always part of the public query)
+projectSchema.index({ status: 1, type: 1, createdAt: -1 });
+projectSchema.index({ status: 1, type: 1, normalizedPrice: 1 });
+projectSchema.index({ status: 1, type: 1, normalizedPricePerMonth: 1 });
+projectSchema.index({ status: 1, type: 1, availableFrom: 1 });
+projectSchema.index({ status: 1, amenities: 1 });
+projectSchema.index({ status: 1, currency: 1, price: 1 });
+projectSchema.index({ status: 1, type: 1, areaSqm: 1 });
+projectSchema.index({ status: 1, bedrooms: 1, bathrooms: 1 });
+projectSchema.index({ status: 1, badge: 1, createdAt: -1 });
+projectSchema.index({ status: 1, city: 1, neighborhood: 1 });
+projectSchema.index({ geo: '2dsphere' });
+// Listing scheduler
+projectSchema.index({ status: 1, publishAt: 1 });
+projectSchema.index({ status: 1, expiresAt: 1 });
+projectSchema.index({ status: 1, publishedAt: -1 });
+// Full-text search over all languages (no stemming: Arabic/Hebrew aren't supported)
+projectSchema.index(
+  { 'searchIndex.title': 'text', 'searchIndex.location': 'text', 'searchIndex.body': 'text' },
+  {
+    name: 'project_search_text',
+    default_language: 'none',
+    weights: { 'searchIndex.title': 10, 'searchIndex.location': 5, 'searchIndex.body': 1 }
+  }
+);
 
 // Virtual for image count
 projectSchema.virtual('imageCount').get(function () {
@@ -183,4 +468,594 @@ projectSchema.pre('save', function (next) {
   next();
 });
 
+// Pre-save middleware: Keep areaSqm and the search text in sync
+projectSchema.pre('save', function (next) {
+  if (this.isModified('area') || this.isModified('areaUnit') || this.isNew) {
+    this.areaSqm = toSqm(this.area, this.areaUnit);
+  }
+  if (this.isModified('translations') || this.isNew) {
+    this.searchIndex = buildSearchIndex(this.translations);
+  }
+  next();
+});
+
+// Pre-save middleware: Keep the normalized price / rent in sync
+projectSchema.pre('save', async function () {
+  if (this.isModified('price') || this.isModified('pricePerMonth') || this.isModified('currency') || this.isNew) {
+    this.normalizedPrice = await currencyService.toBase(this.price ?? null, this.currency);
+    this.normalizedPricePerMonth = await currencyService.toBase(this.pricePerMonth ?? null, this.currency);
+  }
+});
+
+// Same for findByIdAndUpdate (used by the update route)
+projectSchema.pre('findOneAndUpdate', async function () {
+  const update = this.getUpdate() || {};
+  const values = update.$set || update;
+
+  // The update route always replaces the whole translations object
+  if (values.translations) {
+    this.set('searchIndex', buildSearchIndex(values.translations));
+  }
+
+  const areaChanged = values.area !== undefined || values.areaUnit !== undefined;
+  const priceChanged = values.price !== undefined || values.pricePerMonth !== undefined ||
+    values.currency !== undefined;
+  if (!areaChanged && !priceChanged) return;
+
+  // Fields of the pair that aren't part of the update come from the saved listing
+  const merged = { ...values };
+  const missing = ['area', 'areaUnit', 'price', 'pricePerMonth', 'currency']
+    .filter(field => merged[field] === undefined);
+  if (missing.length > 0) {
+    const current = await this.model.findOne(this.getQuery()).select(missing.join(' ')).lean();
+    if (!current) return;
+    missing.forEach(field => { merged[field] = current[field]; });
+  }
+
+  if (areaChanged) {
+    this.set('areaSqm', toSqm(merged.area, merged.areaUnit));
+  }
+  if (priceChanged) {
+    this.set('normalizedPrice', await currencyService.toBase(merged.price ?? null, merged.currency));
+    this.set('normalizedPricePerMonth', await currencyService.toBase(merged.pricePerMonth ?? null, merged.currency));
+  }
+});
+
+// Method: Price history entry and "price reduced" fields for a new price
+// Returns null when the price doesn't change. badge = badge the listing will have
+// (only 'exclusive' / 'sold' are kept over the automatic 'priceReduced' badge)
+projectSchema.methods.getPriceUpdate = function (newPrice, newCurrency, badge = this.badge) {
+  const oldPrice = this.price ?? null;
+  const currency = newCurrency || this.currency;
+  if (oldPrice === newPrice && currency === this.currency) return null;
+
+  const sameCurrency = currency === this.currency;
+  const isReduction = sameCurrency && oldPrice > 0 && newPrice !== null && newPrice < oldPrice;
+  const keepBadge = ['exclusive', 'sold'].includes(badge);
+  const fields = {};
+
+  if (isReduction) {
+    fields.priceReduced = true;
+    // "Was" price stays the one before the first reduction
+    fields.previousPrice = this.priceReduced ? this.previousPrice : oldPrice;
+    fields.priceReducedAt = new Date();
+    if (!keepBadge) fields.badge = 'priceReduced';
+  } else if (this.priceReduced &&
+      (newPrice === null || !sameCurrency || newPrice >= this.previousPrice)) {
+    fields.priceReduced = false;
+    fields.previousPrice = null;
+    fields.priceReducedAt = null;
+    if (badge === 'priceReduced') fields.badge = null;
+  }
+
+  return {
+    change: {
+      oldPrice,
+      newPrice,
+      oldCurrency: this.currency,
+      currency,
+      isReduction
+    },
+    fields
+  };
+};
+
+// Static: Keep type / status / badge consistent and fill the lifecycle fields
+// changes: fields sent by the admin ({} values are not touched), current: saved listing (or {})
+// Returns { error } or { fields } (changes + derived fields, ready for create/update)
+projectSchema.statics.resolveLifecycle = function (changes, current = {}, now = new Date()) {
+  const fields = { ...changes };
+  const read = (field) => (changes[field] !== undefined ? changes[field] : current[field]);
+  const isSold = (value) => value === 'sold';
+
+  // The field the admin switched to / from 'sold' decides, the others follow
+  const switches = ['type', 'status', 'badge']
+    .filter(field => changes[field] !== undefined && isSold(changes[field]) !== isSold(current[field]))
+    .map(field => isSold(changes[field]));
+  if (switches.includes(true) && switches.includes(false)) {
+    return { error: 'type, status and badge disagree on whether the listing is sold' };
+  }
+  const sold = switches.length > 0
+    ? switches[0]
+    : ['type', 'status', 'badge'].some(field => isSold(read(field)));
+
+  if (sold) {
+    Object.assign(fields, { type: 'sold', status: 'sold', badge: 'sold' });
+    fields.soldAt = changes.soldAt || current.soldAt || now;
+    if (read('salePrice') == null) fields.salePrice = read('price') ?? null;
+    if (!read('saleCurrency')) fields.saleCurrency = read('currency') || 'ILS';
+    return { fields };
+  }
+
+  if (isSold(read('type'))) fields.type = 'forSale';
+  if (isSold(read('badge'))) fields.badge = null;
+  if (current.soldAt) {
+    Object.assign(fields, { soldAt: null, salePrice: null, saleCurrency: null });
+  }
+
+  let status = isSold(read('status')) ? 'active' : (read('status') || 'active');
+  const publishAt = read('publishAt') || null;
+  const expiresAt = read('expiresAt') || null;
+
+  if (publishAt && expiresAt && expiresAt <= publishAt) {
+    return { error: 'expiresAt must be after publishAt' };
+  }
+
+  if (['active', 'scheduled'].includes(status)) {
+    if (publishAt && publishAt > now) {
+      status = 'scheduled';
+    } else if (status === 'scheduled') {
+      return { error: 'A scheduled listing needs a future publishAt' };
+    }
+    if (expiresAt && expiresAt <= now) {
+      const expiresAtChanged = changes.expiresAt !== undefined &&
+        new Date(changes.expiresAt).getTime() !== new Date(current.expiresAt).getTime();
+      const wasLive = ['active', 'scheduled'].includes(current.status);
+      if (expiresAtChanged || !wasLive) {
+        return { error: 'expiresAt must be in the future' };
+      }
+      // Expired before the scheduler's next run: expire it now instead of blocking the edit
+      status = 'expired';
+    }
+  }
+
+  fields.status = status;
+  if (status === 'active' && current.status !== 'active') fields.publishedAt = now;
+  if (status === 'expired' && current.status !== 'expired') fields.expiredAt = now;
+  if (status !== 'expired' && current.expiredAt) fields.expiredAt = null;
+
+  return { fields };
+};
+
+// Static: Lease terms are required / checked only for rentals
+// changes: fields sent by the admin, current: saved listing (or {})
+// Returns { error } or {}
+projectSchema.statics.validateRental = function (changes, current = {}) {
+  const read = (field) => (changes[field] !== undefined ? changes[field] : current[field]);
+  if (read('type') !== 'forRent') return {};
+
+  if (!(read('pricePerMonth') > 0)) {
+    return { error: 'Monthly rent (pricePerMonth) is required for rental listings' };
+  }
+  const minLeaseMonths = read('minLeaseMonths');
+  if (minLeaseMonths != null && !(Number.isInteger(minLeaseMonths) && minLeaseMonths >= 1 && minLeaseMonths <= 120)) {
+    return { error: 'minLeaseMonths must be a whole number of months between 1 and 120' };
+  }
+  const petsPolicy = read('petsPolicy');
+  if (petsPolicy != null && !PETS_POLICIES.includes(petsPolicy)) {
+    return { error: `Invalid petsPolicy. Must be: ${PETS_POLICIES.join(', ')}` };
+  }
+  return {};
+};
+
+// Static: Validate the listing filter query params
+// rates (currencyService.getRates) converts minPrice / maxPrice given in displayCurrency
+// Returns { error } or { filters, sort } (areas converted to sqm)
+projectSchema.statics.parseListingFilters = function (params = {}, rates = null) {
+  const {
+    type = 'all',
+    featured,
+    currency,
+    displayCurrency,
+    badge,
+    areaUnit = 'sqm',
+    sort = 'newest'
+  } = params;
+  const filters = {};
+
+  if (type && type !== 'all') {
+    if (!['forSale', 'forRent', 'sold'].includes(type)) {
+      return { error: 'Invalid type. Must be: forSale, forRent, sold, or all' };
+    }
+    filters.type = type;
+  }
+
+  if (featured === 'true') {
+    filters.featured = true;
+  }
+
+  if (currency) {
+    filters.currency = String(currency).toUpperCase();
+    if (!['ILS', 'USD', 'EUR'].includes(filters.currency)) {
+      return { error: 'Invalid currency. Must be: ILS, USD, or EUR' };
+    }
+  }
+
+  if (displayCurrency) {
+    filters.displayCurrency = String(displayCurrency).toUpperCase();
+    if (!['ILS', 'USD', 'EUR'].includes(filters.displayCurrency)) {
+      return { error: 'Invalid displayCurrency. Must be: ILS, USD, or EUR' };
+    }
+  }
+
+  if (badge) {
+    if (!['new', 'exclusive', 'sold', 'priceReduced', 'none'].includes(badge)) {
+      return { error: 'Invalid badge. Must be: new, exclusive, sold, priceReduced, or none' };
+    }
+    filters.badge = badge;
+  }
+
+  if (params.priceReduced === 'true') {
+    filters.priceReduced = true;
+  }
+
+  // Comma separated amenity keys, all required (amenities=parking,elevator)
+  if (params.amenities) {
+    filters.amenities = [...new Set(String(params.amenities).split(',').map(key => key.trim()).filter(Boolean))];
+    if (filters.amenities.some(key => !/^[a-z][A-Za-z0-9]*$/.test(key))) {
+      return { error: 'amenities must be a comma separated list of amenity keys' };
+    }
+  }
+
+  if (params.condition) {
+    if (!CONDITIONS.includes(params.condition)) {
+      return { error: `Invalid condition. Must be: ${CONDITIONS.join(', ')}` };
+    }
+    filters.condition = params.condition;
+  }
+
+  // Lease terms: rentals only
+  if (RENTAL_FILTERS.some(name => params[name] !== undefined && params[name] !== '') && filters.type !== 'forRent') {
+    return { error: `${RENTAL_FILTERS.join(', ')} can only be used with type=forRent` };
+  }
+
+  if (params.furnished !== undefined && params.furnished !== '') {
+    if (!['true', 'false'].includes(params.furnished)) {
+      return { error: 'furnished must be true or false' };
+    }
+    filters.furnished = params.furnished === 'true';
+  }
+
+  if (params.petsPolicy) {
+    if (!PETS_POLICIES.includes(params.petsPolicy)) {
+      return { error: `Invalid petsPolicy. Must be: ${PETS_POLICIES.join(', ')}` };
+    }
+    filters.petsPolicy = params.petsPolicy;
+  }
+
+  if (params.availableBy) {
+    filters.availableBy = new Date(params.availableBy);
+    if (isNaN(filters.availableBy.getTime())) {
+      return { error: 'availableBy must be a date (YYYY-MM-DD)' };
+    }
+  }
+
+  ['city', 'neighborhood'].forEach(field => {
+    if (params[field]) filters[field] = String(params[field]).trim().toLowerCase();
+  });
+
+  if (!['sqm', 'sqft'].includes(areaUnit)) {
+    return { error: 'Invalid areaUnit. Must be: sqm or sqft' };
+  }
+
+  if (!LISTING_SORTS[sort]) {
+    return { error: `Invalid sort. Must be: ${Object.keys(LISTING_SORTS).join(', ')}` };
+  }
+
+  for (const [name, integer] of NUMERIC_FILTERS) {
+    const raw = params[name];
+    if (raw === undefined || raw === '') continue;
+
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < 0 || (integer && !Number.isInteger(value))) {
+      return { error: `${name} must be a non-negative ${integer ? 'integer' : 'number'}` };
+    }
+    filters[name] = value;
+  }
+
+  for (const field of ['Price', 'Bedrooms', 'Bathrooms', 'Area', 'Rent']) {
+    const min = filters[`min${field}`];
+    const max = filters[`max${field}`];
+    if (min !== undefined && max !== undefined && min > max) {
+      return { error: `min${field} can't be greater than max${field}` };
+    }
+  }
+
+  // Listings store areaSqm, so compare in sqm whatever unit the client uses
+  if (filters.minArea !== undefined) filters.minAreaSqm = toSqm(filters.minArea, areaUnit);
+  if (filters.maxArea !== undefined) filters.maxAreaSqm = toSqm(filters.maxArea, areaUnit);
+
+  // Without a currency filter prices compare on normalizedPrice (base currency)
+  if (!filters.currency && filters.displayCurrency && rates) {
+    const toBase = (amount) => currencyService.convert(amount, filters.displayCurrency, currencyService.getBaseCurrency(), rates);
+    if (filters.minPrice !== undefined) filters.minNormalizedPrice = toBase(filters.minPrice);
+    if (filters.maxPrice !== undefined) filters.maxNormalizedPrice = toBase(filters.maxPrice);
+    if (filters.minRent !== undefined) filters.minNormalizedRent = toBase(filters.minRent);
+    if (filters.maxRent !== undefined) filters.maxNormalizedRent = toBase(filters.maxRent);
+  }
+
+  return { filters, sort };
+};
+
+// Static: MongoDB query for the public listing filters (already validated)
+// filters: { status (admin only), type, featured, minPrice, maxPrice, currency, minBedrooms, maxBedrooms,
+//            minBathrooms, maxBathrooms, minAreaSqm, maxAreaSqm, badge, priceReduced, city, neighborhood,
+//            amenities, condition, minRent, maxRent, leaseMonths, furnished, petsPolicy, availableBy }
+projectSchema.statics.buildListingQuery = function (filters = {}) {
+  const query = { status: { $nin: HIDDEN_STATUSES } };
+
+  // Admin listing: a given status, or everything but deleted ('all')
+  if (filters.status) query.status = filters.status === 'all' ? { $ne: 'deleted' } : filters.status;
+
+  if (filters.type) query.type = filters.type;
+  if (filters.featured) query.featured = true;
+  if (filters.currency) query.currency = filters.currency;
+  if (filters.badge) query.badge = filters.badge === 'none' ? null : filters.badge;
+  if (filters.priceReduced) query.priceReduced = true;
+  if (filters.city) query.city = filters.city;
+  if (filters.neighborhood) query.neighborhood = filters.neighborhood;
+  if (filters.amenities && filters.amenities.length > 0) query.amenities = { $all: filters.amenities };
+  if (filters.condition) query.condition = filters.condition;
+  if (filters.furnished !== undefined) query.furnished = filters.furnished;
+  if (filters.petsPolicy) query.petsPolicy = filters.petsPolicy;
+  // Listings without a value (available now / no minimum lease) match too
+  if (filters.availableBy) query.availableFrom = { $not: { $gt: filters.availableBy } };
+  if (filters.leaseMonths !== undefined) query.minLeaseMonths = { $not: { $gt: filters.leaseMonths } };
+
+  const range = (field, min, max) => {
+    if (min === undefined && max === undefined) return;
+    query[field] = {};
+    if (min !== undefined) query[field].$gte = min;
+    if (max !== undefined) query[field].$lte = max;
+  };
+
+  // Prices in the filtered currency, otherwise in the base currency (ILS)
+  // unless parseListingFilters converted them from displayCurrency
+  if (filters.currency) {
+    range('price', filters.minPrice, filters.maxPrice);
+    range('pricePerMonth', filters.minRent, filters.maxRent);
+  } else {
+    range(
+      'normalizedPrice',
+      filters.minNormalizedPrice ?? filters.minPrice,
+      filters.maxNormalizedPrice ?? filters.maxPrice
+    );
+    range(
+      'normalizedPricePerMonth',
+      filters.minNormalizedRent ?? filters.minRent,
+      filters.maxNormalizedRent ?? filters.maxRent
+    );
+  }
+  range('bedrooms', filters.minBedrooms, filters.maxBedrooms);
+  range('bathrooms', filters.minBathrooms, filters.maxBathrooms);
+  range('areaSqm', filters.minAreaSqm, filters.maxAreaSqm);
+
+  return query;
+};
+
+// Static: Full-text search (relevance order), falling back to word prefixes
+// when nothing matches (e.g. a partially typed word)
+// options: { page, limit, filters } - filters as in buildListingQuery
+projectSchema.statics.search = async function (text, options = {}) {
+  const page = options.page || 1;
+  const limit = options.limit || 12;
+  const terms = normalizeSearchText(text).split(' ').filter(Boolean).slice(0, 10);
+
+  if (terms.length === 0) {
+    return { projects: [], total: 0, mode: 'text' };
+  }
+
+  const base = this.buildListingQuery(options.filters);
+
+  // Normalization removed quotes and '-', so the terms can't use $text operators
+  const textQuery = { ...base, $text: { $search: terms.join(' ') } };
+  const total = await this.countDocuments(textQuery);
+  if (total > 0) {
+    const projects = await this.find(textQuery, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    return { projects, total, mode: 'text' };
+  }
+
+  // Every term must start a word in one of the searchable fields
+  const prefixQuery = {
+    ...base,
+    $and: terms.map(term => {
+      const pattern = new RegExp(`(^|\\s)${escapeRegex(term)}`);
+      return {
+        $or: [
+          { 'searchIndex.title': pattern },
+          { 'searchIndex.location': pattern },
+          { 'searchIndex.body': pattern }
+        ]
+      };
+    })
+  };
+  const [projects, prefixTotal] = await Promise.all([
+    this.find(prefixQuery).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+    this.countDocuments(prefixQuery)
+  ]);
+  return { projects, total: prefixTotal, mode: 'prefix' };
+};
+
+// Static: Listings on the map, either around a point (sorted by distance) or inside a box
+// area: { center: [lng, lat], radiusKm } | { box: [minLng, minLat, maxLng, maxLat] }
+// options: { page, limit, filters } - filters as in buildListingQuery
+projectSchema.statics.findInArea = async function (area, options = {}) {
+  const page = options.page || 1;
+  const limit = options.limit || 100;
+  const query = this.buildListingQuery(options.filters);
+
+  const pipeline = [];
+  if (area.center) {
+    pipeline.push({
+      $geoNear: {
+        near: { type: 'Point', coordinates: area.center },
+        distanceField: 'distanceMeters',
+        maxDistance: area.radiusKm * 1000,
+        spherical: true,
+        query
+      }
+    });
+  } else {
+    const [minLng, minLat, maxLng, maxLat] = area.box;
+    pipeline.push({
+      $match: {
+        ...query,
+        geo: {
+          $geoWithin: {
+            $geometry: {
+              type: 'Polygon',
+              coordinates: [[
+                [minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]
+              ]]
+            }
+          }
+        }
+      }
+    }, { $sort: { createdAt: -1 } });
+  }
+
+  pipeline.push({
+    $facet: {
+      projects: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+      total: [{ $count: 'count' }]
+    }
+  });
+
+  const [result] = await this.aggregate(pipeline);
+  return {
+    projects: result.projects.map(doc => {
+      const project = this.hydrate(doc);
+      if (doc.distanceMeters !== undefined) {
+        project.$locals.distanceKm = Math.round(doc.distanceMeters / 10) / 100;
+      }
+      return project;
+    }),
+    total: result.total[0] ? result.total[0].count : 0
+  };
+};
+
+// Static: Fill derived fields (areaSqm, searchIndex, lifecycle, normalizedPrice) for listings saved before they existed
+projectSchema.statics.backfillDerivedFields = async function () {
+  // The old English-only text index must go before the multi-language one can be built
+  const indexes = await this.collection.indexes();
+  if (indexes.some(index => index.name === 'translations.en.title_text')) {
+    await this.collection.dropIndex('translations.en.title_text');
+    await this.createIndexes();
+  }
+
+  const projects = await this.find({
+    $or: [
+      { areaSqm: null, area: { $ne: null } },
+      { 'searchIndex.title': { $in: [null, ''] } }
+    ]
+  }).select('area areaUnit translations');
+
+  for (const project of projects) {
+    await this.updateOne({ _id: project._id }, {
+      areaSqm: toSqm(project.area, project.areaUnit),
+      searchIndex: buildSearchIndex(project.translations)
+    });
+  }
+
+  // Listings live before publishedAt existed
+  const published = await this.updateMany(
+    { publishedAt: null, status: { $in: ['active', 'sold'] } },
+    [{ $set: { publishedAt: '$createdAt' } }]
+  );
+
+  // type / status / badge used to contradict each other: any 'sold' means sold
+  const sold = await this.updateMany(
+    {
+      $or: [{ type: 'sold' }, { status: 'sold' }, { badge: 'sold' }],
+      status: { $ne: 'deleted' },
+      soldAt: null
+    },
+    [{
+      $set: {
+        type: 'sold',
+        status: 'sold',
+        badge: 'sold',
+        soldAt: '$updatedAt',
+        salePrice: { $ifNull: ['$salePrice', '$price'] },
+        saleCurrency: { $ifNull: ['$saleCurrency', '$currency'] }
+      }
+    }]
+  );
+
+  // Rentals used to keep the monthly rent in price (the form couldn't set pricePerMonth)
+  const rentals = await this.updateMany(
+    { type: 'forRent', pricePerMonth: null, price: { $gt: 0 } },
+    [{ $set: { pricePerMonth: '$price' } }]
+  );
+
+  // Listings saved before normalizedPrice / normalizedPricePerMonth existed
+  const unpriced = await this.exists({
+    $or: [
+      { normalizedPrice: null, price: { $ne: null } },
+      { normalizedPricePerMonth: null, pricePerMonth: { $ne: null } }
+    ]
+  });
+  const normalized = unpriced ? await this.refreshNormalizedPrices(await currencyService.getRates()) : 0;
+
+  return projects.length + published.modifiedCount + sold.modifiedCount + rentals.modifiedCount + normalized;
+};
+
+// Static: Recompute normalizedPrice of every listing (after the currency rates change)
+// rates: { ILS: 1, USD: 3.7, ... } - value of 1 unit in the base currency
+projectSchema.statics.refreshNormalizedPrices = async function (rates) {
+  let modified = 0;
+  for (const [currency, rate] of Object.entries(rates)) {
+    const result = await this.updateMany(
+      { currency },
+      [{
+        $set: {
+          normalizedPrice: { $round: [{ $multiply: ['$price', rate] }, 2] },
+          normalizedPricePerMonth: { $round: [{ $multiply: ['$pricePerMonth', rate] }, 2] }
+        }
+      }],
+      { timestamps: false }
+    );
+    modified += result.modifiedCount;
+  }
+  return modified;
+};
+
+// Static: Put scheduled listings live once their publishAt has passed
+projectSchema.statics.publishDue = async function (now = new Date()) {
+  const result = await this.updateMany(
+    { status: 'scheduled', publishAt: { $lte: now } },
+    { status: 'active', publishedAt: now, expiredAt: null }
+  );
+  return result.modifiedCount;
+};
+
+// Static: Take live listings offline once their expiresAt has passed
+projectSchema.statics.expireDue = async function (now = new Date()) {
+  const result = await this.updateMany(
+    { status: 'active', expiresAt: { $lte: now } },
+    { status: 'expired', expiredAt: now }
+  );
+  return result.modifiedCount;
+};
+
+projectSchema.statics.LISTING_SORTS = LISTING_SORTS;
+projectSchema.statics.HIDDEN_STATUSES = HIDDEN_STATUSES;
+projectSchema.statics.PETS_POLICIES = PETS_POLICIES;
+projectSchema.statics.CONDITIONS = CONDITIONS;
+projectSchema.statics.toSqm = toSqm;
+projectSchema.statics.normalizeSearchText = normalizeSearchText;
+
 module.exports = mongoose.model('Project', projectSchema);
\ No newline at end of file
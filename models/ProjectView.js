@@ -0,0 +1,128 @@
+// backend/models/ProjectView.js
+const mongoose = require('mongoose');
+
+// One document per project per day (UTC) with its unique visitor count
+const projectViewSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project reference is required']
+  },
+
+  // 'YYYY-MM-DD' (UTC)
+  day: {
+    type: String,
+    required: [true, 'Day is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Day must be YYYY-MM-DD']
+  },
+
+  // Unique visitors that day
+  views: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Hashed visitor ids already counted that day (hash changes every day)
+  visitors: {
+    type: [String],
+    default: [],
+    select: false
+  },
+
+  // Hashed IP of each counted view, to cap the views counted per IP
+  addresses: {
+    type: [String],
+    default: [],
+    select: false
+  }
+
+}, {
+  timestamps: true
+});
+
+// ==================== INDEXES ====================
+projectViewSchema.index({ project: 1, day: 1 }, { unique: true });
+projectViewSchema.index({ day: 1 });
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Day key of a date ('YYYY-MM-DD', UTC)
+ */
+projectViewSchema.statics.toDay = function(date = new Date()) {
+  return new Date(date).toISOString().slice(0, 10);
+};
+
+/**
+ * Count a view unless the visitor was already counted for this project today,
+ * or its IP already reached maxPerAddress views
+ * @returns {boolean} true when the view was counted
+ */
+projectViewSchema.statics.record = async function(projectId, { visitorHash, addressHash, maxPerAddress }, day = this.toDay()) {
+  try {
+    // The filter fails for a known visitor / capped IP, and the upsert then hits the unique index
+    await this.updateOne(
+      {
+        project: projectId,
+        day,
+        visitors: { $ne: visitorHash },
+        $expr: {
+          $lt: [
+            { $size: { $filter: { input: { $ifNull: ['$addresses', []] }, cond: { $eq: ['$$this', addressHash] } } } },
+            maxPerAddress
+          ]
+        }
+      },
+      { $inc: { views: 1 }, $push: { visitors: visitorHash, addresses: addressHash } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Views per project over a period, most viewed first
+ * options: { since, until (Date), projectIds, limit }
+ */
+projectViewSchema.statics.getViewCounts = function(options = {}) {
+  const match = {};
+
+  if (options.projectIds) {
+    match.project = { $in: options.projectIds.map(id => new mongoose.Types.ObjectId(id.toString())) };
+  }
+  if (options.since || options.until) {
+    match.day = {};
+    if (options.since) match.day.$gte = this.toDay(options.since);
+    if (options.until) match.day.$lte = this.toDay(options.until);
+  }
+
+  const pipeline = [
+    { $match: match },
+    { $group: { _id: '$project', views: { $sum: '$views' }, lastViewedOn: { $max: '$day' } } },
+    { $sort: { views: -1, lastViewedOn: -1 } }
+  ];
+  if (options.limit) {
+    pipeline.push({ $limit: options.limit });
+  }
+
+  return this.aggregate(pipeline);
+};
+
+/**
+ * Daily views of one project (days without views are omitted)
+ */
+projectViewSchema.statics.getDaily = function(projectId, since, until) {
+  return this.find({
+    project: projectId,
+    day: { $gte: this.toDay(since), $lte: this.toDay(until) }
+  })
+    .select('day views -_id')
+    .sort({ day: 1 })
+    .lean();
+};
+
+module.exports = mongoose.model('ProjectView', projectViewSchema);
@@ -0,0 +1,133 @@
+// backend/models/SavedSearch.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const newToken = () => crypto.randomBytes(24).toString('hex');
+
+const savedSearchSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
+  },
+
+  // Language of the alert emails
+  language: {
+    type: String,
+    enum: ['en', 'ar', 'he'],
+    default: 'en'
+  },
+
+  // Same shape as the listing filters (see Project.buildListingQuery)
+  criteria: {
+    type: {
+      type: String,
+      enum: ['forSale', 'forRent', null],
+      default: null
+    },
+    minPrice: { type: Number, min: 0, default: null },
+    maxPrice: { type: Number, min: 0, default: null },
+    currency: {
+      type: String,
+      enum: ['ILS', 'USD', 'EUR', null],
+      default: null
+    },
+    minBedrooms: { type: Number, min: 0, default: null },
+    maxBedrooms: { type: Number, min: 0, default: null },
+    minBathrooms: { type: Number, min: 0, default: null },
+    maxBathrooms: { type: Number, min: 0, default: null },
+    minAreaSqm: { type: Number, min: 0, default: null },
+    maxAreaSqm: { type: Number, min: 0, default: null },
+    city: { type: String, trim: true, lowercase: true, default: null },
+    neighborhood: { type: String, trim: true, lowercase: true, default: null }
+  },
+
+  // - pending      : waiting for the email confirmation (double opt-in)
+  // - active       : receives alerts
+  // - unsubscribed : stopped from the email link (or by an admin)
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'unsubscribed'],
+    default: 'pending'
+  },
+
+  confirmToken: {
+    type: String,
+    default: newToken
+  },
+
+  unsubscribeToken: {
+    type: String,
+    default: newToken
+  },
+
+  confirmedAt: {
+    type: Date,
+    default: null
+  },
+
+  unsubscribedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Listings published / reduced after this date are checked by the next alert run
+  lastCheckedAt: {
+    type: Date,
+    default: null
+  },
+
+  lastNotifiedAt: {
+    type: Date,
+    default: null
+  },
+
+  alertsSent: {
+    type: Number,
+    default: 0
+  },
+
+  ipAddress: {
+    type: String,
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+// ==================== INDEXES ====================
+savedSearchSchema.index({ confirmToken: 1 }, { unique: true });
+savedSearchSchema.index({ unsubscribeToken: 1 }, { unique: true });
+savedSearchSchema.index({ status: 1, lastCheckedAt: 1 });
+savedSearchSchema.index({ email: 1, createdAt: -1 });
+savedSearchSchema.index({ ipAddress: 1, createdAt: -1 });
+
+// ==================== INSTANCE METHODS ====================
+
+// Criteria without empty values, ready for Project.buildListingQuery
+savedSearchSchema.methods.getFilters = function() {
+  const criteria = this.toObject().criteria || {};
+  return Object.entries(criteria).reduce((filters, [key, value]) => {
+    if (value !== null && value !== undefined) filters[key] = value;
+    return filters;
+  }, {});
+};
+
+// ==================== HOOKS ====================
+
+savedSearchSchema.pre('save', function(next) {
+  if (this.isModified('status')) {
+    if (this.status === 'active' && !this.confirmedAt) {
+      this.confirmedAt = new Date();
+      // Only alert about listings that appear after the confirmation
+      this.lastCheckedAt = this.confirmedAt;
+    }
+    this.unsubscribedAt = this.status === 'unsubscribed' ? (this.unsubscribedAt || new Date()) : null;
+  }
+  next();
+});
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -166,6 +166,38 @@ const teamMemberSchema = new mongoose.Schema({
     }
   },
 
+  // Weekly windows in which viewings can be booked (local time, see APPOINTMENT_TIMEZONE)
+  // Empty = no restriction
+  availability: {
+    type: [{
+      _id: false,
+      dayOfWeek: {
+        type: Number,
+        min: 0, // Sunday
+        max: 6,
+        required: [true, 'Day of week is required']
+      },
+      startTime: {
+        type: String,
+        required: [true, 'Start time is required'],
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be in HH:mm format']
+      },
+      endTime: {
+        type: String,
+        required: [true, 'End time is required'],
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be in HH:mm format']
+      }
+    }],
+    default: []
+  },
+
+  // Held while a booking for this agent is checked and written (see appointmentService)
+  bookingLockedUntil: {
+    type: Date,
+    default: null,
+    select: false
+  },
+
   // Stats (Optional - for display purposes)
   stats: {
     yearsExperience: {
@@ -188,6 +220,11 @@ const teamMemberSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Availability windows must end after they start
+teamMemberSchema.path('availability').validate(function(windows) {
+  return windows.every(window => window.startTime < window.endTime);
+}, 'Availability end time must be after start time');
+
 // Indexes for performance
 teamMemberSchema.index({ order: 1, active: 1 });
 teamMemberSchema.index({ featured: -1, order: 1 });
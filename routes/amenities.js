@@ -0,0 +1,190 @@
+// backend/routes/amenities.js
+const express = require('express');
+const router = express.Router();
+const Amenity = require('../models/Amenity');
+const Project = require('../models/Project');
+const amenityService = require('../services/amenityService');
+const { protect, authorize } = require('../middleware/auth');
+
+// ==================== PUBLIC ROUTES ====================
+
+/**
+ * @route   GET /api/amenities
+ * @desc    Active amenities (for the listing filters and the property page)
+ * @query   lang - en, ar, he (default: en)
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const lang = String(req.query.lang || 'en').split('-')[0].toLowerCase();
+
+    if (!['en', 'ar', 'he'].includes(lang)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid language. Must be: en, ar, or he'
+      });
+    }
+
+    const amenities = await amenityService.getAmenities();
+    const data = amenityService.localize(
+      amenities.filter(amenity => amenity.active).map(amenity => amenity.key),
+      lang,
+      amenities
+    );
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching amenities:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch amenities'
+    });
+  }
+});
+
+// ==================== ADMIN ROUTES ====================
+
+/**
+ * @route   GET /api/amenities/admin
+ * @desc    All amenities (with translations) and how many listings use each
+ * @access  Private/Admin
+ */
+router.get('/admin', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const [amenities, usage] = await Promise.all([
+      amenityService.getAmenities(),
+      Project.aggregate([
+        { $match: { status: { $ne: 'deleted' } } },
+        { $unwind: '$amenities' },
+        { $group: { _id: '$amenities', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: amenities.length,
+      data: amenities.map(amenity => ({
+        ...amenity,
+        projectCount: usage.find(row => row._id === amenity.key)?.count || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching amenity table:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch amenities'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/amenities/admin
+ * @desc    Create an amenity
+ * @access  Private/Superadmin
+ */
+router.post('/admin', protect, authorize('superadmin'), async (req, res) => {
+  try {
+    const { key, translations, icon, order, active } = req.body;
+
+    const amenity = await Amenity.create({ key, translations, icon, order, active });
+    amenityService.invalidate();
+
+    res.status(201).json({
+      success: true,
+      data: amenity
+    });
+  } catch (error) {
+    console.error('Error creating amenity:', error);
+    const isClientError = error.name === 'ValidationError' || error.code === 11000;
+    res.status(isClientError ? 400 : 500).json({
+      success: false,
+      error: error.code === 11000 ? 'An amenity with this key already exists' : error.message || 'Failed to create amenity'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/amenities/admin/:id
+ * @desc    Update an amenity (names, icon, order, active). The key can't change.
+ * @access  Private/Superadmin
+ */
+router.put('/admin/:id', protect, authorize('superadmin'), async (req, res) => {
+  try {
+    const amenity = await Amenity.findById(req.params.id);
+
+    if (!amenity) {
+      return res.status(404).json({
+        success: false,
+        error: 'Amenity not found'
+      });
+    }
+
+    const { translations, icon, order, active } = req.body;
+
+    if (translations !== undefined) amenity.translations = translations;
+    if (icon !== undefined) amenity.icon = icon;
+    if (order !== undefined) amenity.order = order;
+    if (active !== undefined) amenity.active = active;
+
+    await amenity.save();
+    amenityService.invalidate();
+
+    res.status(200).json({
+      success: true,
+      data: amenity
+    });
+  } catch (error) {
+    console.error('Error updating amenity:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message || 'Failed to update amenity'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/amenities/admin/:id
+ * @desc    Delete an amenity no listing uses
+ * @access  Private/Superadmin
+ */
+router.delete('/admin/:id', protect, authorize('superadmin'), async (req, res) => {
+  try {
+    const amenity = await Amenity.findById(req.params.id);
+
+    if (!amenity) {
+      return res.status(404).json({
+        success: false,
+        error: 'Amenity not found'
+      });
+    }
+
+    const projectsUsing = await Project.countDocuments({ amenities: amenity.key, status: { $ne: 'deleted' } });
+    if (projectsUsing > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${projectsUsing} listing(s) use this amenity. Remove it from them or deactivate it instead.`
+      });
+    }
+
+    await amenity.deleteOne();
+    amenityService.invalidate();
+
+    res.status(200).json({
+      success: true,
+      data: {},
+      message: 'Amenity deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting amenity:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete amenity'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,578 @@
+// backend/routes/appointments.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const Lead = require('../models/Lead');
+const Project = require('../models/Project');
+const TeamMember = require('../models/TeamMember');
+const appointmentService = require('../services/appointmentService');
+const leadRoutingService = require('../services/leadRoutingService');
+const notificationService = require('../services/notificationService');
+const spamService = require('../services/spamService');
+const { protect, authorize } = require('../middleware/auth');
+
+// ==================== HELPERS ====================
+
+const MEMBER_FIELDS = 'translations.en.name translations.ar.name translations.he.name email phoneNumber';
+const PROJECT_FIELDS = 'translations.en.title translations.ar.title translations.he.title translations.en.location translations.ar.location translations.he.location mainImage type';
+const LEAD_FIELDS = 'fullName email phoneNumber status assignedTo';
+
+const populateAppointment = query => query
+  .populate('lead', LEAD_FIELDS)
+  .populate('project', PROJECT_FIELDS)
+  .populate('teamMember', MEMBER_FIELDS);
+
+const getWorkerId = req => req.admin.workerProfile?._id || req.admin._id;
+
+/**
+ * Superadmins see everything; agents their own appointments
+ * and the requests of leads assigned to them
+ */
+const canAccessAppointment = (req, appointment) => {
+  if (req.admin.role === 'superadmin') return true;
+  const workerId = getWorkerId(req).toString();
+  const memberId = appointment.teamMember?._id || appointment.teamMember;
+  const leadAssignee = appointment.lead?.assignedTo;
+  return (memberId && memberId.toString() === workerId) ||
+    (leadAssignee && leadAssignee.toString() === workerId);
+};
+
+const sendServiceError = (res, error, fallback) => {
+  const statusCode = error.statusCode || (error.name === 'ValidationError' ? 400 : 500);
+  res.status(statusCode).json({
+    success: false,
+    error: statusCode === 500 ? fallback : error.message,
+    ...(error.conflicts && { conflicts: error.conflicts })
+  });
+};
+
+// ==================== PUBLIC ROUTES ====================
+
+/**
+ * @route   POST /api/appointments/request
+ * @desc    Website visitor requests a viewing slot for a listing
+ * @access  Public
+ */
+router.post('/request', async (req, res) => {
+  try {
+    const {
+      projectId,
+      fullName,
+      email,
+      phoneNumber,
+      startAt,
+      durationMinutes,
+      message,
+      lang = 'en'
+    } = req.body;
+
+    const successMessage = 'Your viewing request has been received! We will confirm it soon.';
+
+    // Honeypot: bots fill the hidden field, pretend it worked and drop it
+    if (spamService.isHoneypotTriggered(req.body)) {
+      return res.status(201).json({ success: true, message: successMessage });
+    }
+
+    if (!projectId || !fullName || !email || !phoneNumber || !startAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'Project, name, email, phone number and preferred time are required'
+      });
+    }
+
+    const emailRegex = /^\S+@\S+\.\S+$/;
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid email format'
+      });
+    }
+
+    const project = mongoose.isValidObjectId(projectId)
+      ? await Project.findOne({ _id: projectId, status: 'active' }).select('translations.en.title type')
+      : null;
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Property not found'
+      });
+    }
+
+    // Check the slot before creating the lead
+    appointmentService.validateRequestedSlot({ startAt, durationMinutes });
+
+    const ipAddress = spamService.getClientIp(req);
+
+    const rateLimit = await spamService.checkRateLimit({ ipAddress, email });
+    if (rateLimit.limited) {
+      res.set('Retry-After', String(rateLimit.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many submissions. Please try again later.'
+      });
+    }
+
+    const leadMessage = message || `Viewing request for ${project.translations.en.title}`;
+    const spamCheck = await spamService.evaluate({ fullName, email, message: leadMessage, ipAddress });
+    const language = String(lang).split('-')[0].toLowerCase();
+
+    const lead = await Lead.create({
+      fullName,
+      email,
+      phoneNumber,
+      inquiryType: project.type === 'forRent' ? 'renting' : 'buying',
+      message: leadMessage,
+      source: 'Website Viewing Request',
+      project: project._id,
+      language: ['en', 'ar', 'he'].includes(language) ? language : 'en',
+      ipAddress: ipAddress || null,
+      isSpam: spamCheck.isSpam,
+      spamScore: spamCheck.score,
+      spamReasons: spamCheck.reasons
+    });
+
+    // Spam gets the same answer but no appointment
+    if (lead.isSpam) {
+      return res.status(201).json({ success: true, message: successMessage });
+    }
+
+    await Project.updateOne({ _id: project._id }, { $inc: { inquiryCount: 1 } });
+
+    try {
+      await leadRoutingService.assignLead(lead);
+    } catch (routingError) {
+      console.error('Lead routing failed:', routingError.message);
+    }
+
+    const appointment = await appointmentService.request(lead, project._id, { startAt, durationMinutes });
+
+    // Async email notifications (don't wait)
+    notificationService.leadCreated(lead)
+      .catch(err => console.error('New lead notification failed:', err.message));
+    if (lead.assignedTo) {
+      notificationService.leadAssigned(lead)
+        .catch(err => console.error('Assignment notification failed:', err.message));
+    }
+
+    res.status(201).json({
+      success: true,
+      message: successMessage,
+      data: {
+        id: appointment._id,
+        startAt: appointment.startAt,
+        endAt: appointment.endAt,
+        status: appointment.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Error requesting viewing:', error);
+    sendServiceError(res, error, 'Failed to submit your request. Please try again.');
+  }
+});
+
+// ==================== ADMIN ROUTES - AVAILABILITY ====================
+
+/**
+ * @route   GET /api/appointments/admin/availability/:teamMemberId
+ * @desc    Get an agent's weekly availability windows
+ * @access  Private/Admin
+ */
+router.get('/admin/availability/:teamMemberId', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const member = mongoose.isValidObjectId(req.params.teamMemberId)
+      ? await TeamMember.findById(req.params.teamMemberId).select('translations.en.name availability')
+      : null;
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team member not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        teamMember: member._id,
+        name: member.translations.en.name,
+        timezone: appointmentService.getTimezone(),
+        availability: member.availability
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching availability:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch availability'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/appointments/admin/availability/:teamMemberId
+ * @desc    Replace an agent's weekly availability windows
+ * @body    availability - [{ dayOfWeek (0 = Sunday), startTime 'HH:mm', endTime 'HH:mm' }]
+ * @access  Private/Admin (own profile) or Superadmin
+ */
+router.put('/admin/availability/:teamMemberId', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    if (req.admin.role !== 'superadmin' && getWorkerId(req).toString() !== req.params.teamMemberId) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only update your own availability'
+      });
+    }
+
+    if (!Array.isArray(req.body.availability)) {
+      return res.status(400).json({
+        success: false,
+        error: 'availability must be an array'
+      });
+    }
+
+    const member = mongoose.isValidObjectId(req.params.teamMemberId)
+      ? await TeamMember.findById(req.params.teamMemberId)
+      : null;
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team member not found'
+      });
+    }
+
+    member.availability = req.body.availability;
+    await member.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        teamMember: member._id,
+        timezone: appointmentService.getTimezone(),
+        availability: member.availability
+      }
+    });
+  } catch (error) {
+    console.error('Error updating availability:', error);
+    const statusCode = error.name === 'ValidationError' ? 400 : 500;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message || 'Failed to update availability'
+    });
+  }
+});
+
+// ==================== ADMIN ROUTES - APPOINTMENTS ====================
+
+/**
+ * @route   GET /api/appointments/admin
+ * @desc    List appointments
+ * @query   from, to - Date range (startAt)
+ * @query   status - requested | scheduled | cancelled | completed
+ * @query   teamMember - Team member ID (superadmin only)
+ * @query   lead, project - Filter by lead or listing
+ * @access  Private/Admin
+ */
+router.get('/admin', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const { from, to, status, teamMember, lead, project } = req.query;
+    const query = {};
+
+    if (from || to) {
+      query.startAt = {};
+      if (from) query.startAt.$gte = new Date(from);
+      if (to) query.startAt.$lte = new Date(to);
+    }
+    if (status) query.status = status;
+    if (lead) query.lead = lead;
+    if (project) query.project = project;
+
+    if (req.admin.role === 'superadmin') {
+      if (teamMember) query.teamMember = teamMember;
+    } else {
+      // Own appointments plus requests on leads assigned to me
+      const workerId = getWorkerId(req);
+      const myLeadIds = await Lead.find({ assignedTo: workerId }).distinct('_id');
+      query.$or = [{ teamMember: workerId }, { lead: { $in: myLeadIds }, teamMember: null }];
+    }
+
+    const appointments = await populateAppointment(Appointment.find(query)).sort({ startAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: appointments.length,
+      data: appointments
+    });
+  } catch (error) {
+    console.error('Error fetching appointments:', error);
+    const statusCode = error.name === 'CastError' ? 400 : 500;
+    res.status(statusCode).json({
+      success: false,
+      error: statusCode === 400 ? 'Invalid filter value' : 'Failed to fetch appointments'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/appointments/admin
+ * @desc    Book a viewing (defaults: lead's project and assigned agent, 60 minutes)
+ * @body    leadId, projectId, teamMemberId, startAt, endAt | durationMinutes, notes
+ * @access  Private/Admin
+ */
+router.post('/admin', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const data = { ...req.body };
+
+    if (!mongoose.isValidObjectId(data.leadId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid lead'
+      });
+    }
+
+    if (req.admin.role !== 'superadmin') {
+      const lead = await Lead.findById(data.leadId).select('assignedTo');
+      const workerId = getWorkerId(req).toString();
+      if (lead && (!lead.assignedTo || lead.assignedTo.toString() !== workerId)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You can only book viewings for leads assigned to you'
+        });
+      }
+      data.teamMemberId = workerId;
+    }
+
+    const appointment = await appointmentService.create(data, req.admin._id);
+
+    res.status(201).json({
+      success: true,
+      data: await populateAppointment(Appointment.findById(appointment._id))
+    });
+  } catch (error) {
+    console.error('Error creating appointment:', error);
+    sendServiceError(res, error, 'Failed to create appointment');
+  }
+});
+
+/**
+ * @route   GET /api/appointments/admin/:id
+ * @desc    Get a single appointment
+ * @access  Private/Admin
+ */
+router.get('/admin/:id', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const appointment = await populateAppointment(Appointment.findById(req.params.id));
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Appointment not found'
+      });
+    }
+
+    if (!canAccessAppointment(req, appointment)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this appointment'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: appointment
+    });
+  } catch (error) {
+    console.error('Error fetching appointment:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        error: 'Appointment not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch appointment'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/appointments/admin/:id/ics
+ * @desc    Download the appointment as an iCalendar (.ics) file
+ * @access  Private/Admin
+ */
+router.get('/admin/:id/ics', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const appointment = await populateAppointment(Appointment.findById(req.params.id));
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Appointment not found'
+      });
+    }
+
+    if (!canAccessAppointment(req, appointment)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this appointment'
+      });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="appointment-${appointment._id}.ics"`);
+    res.send(appointmentService.toIcs(appointment));
+  } catch (error) {
+    console.error('Error exporting appointment:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        error: 'Appointment not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export appointment'
+    });
+  }
+});
+
+/**
+ * Load an appointment for a state change (404/403 handled here)
+ * @returns {Object|null} The appointment, or null if a response was sent
+ */
+const loadForUpdate = async (req, res) => {
+  // A malformed id is a missing appointment, like on the GET routes
+  const appointment = mongoose.isValidObjectId(req.params.id)
+    ? await Appointment.findById(req.params.id).populate('lead', 'assignedTo')
+    : null;
+
+  if (!appointment) {
+    res.status(404).json({
+      success: false,
+      error: 'Appointment not found'
+    });
+    return null;
+  }
+
+  if (!canAccessAppointment(req, appointment)) {
+    res.status(403).json({
+      success: false,
+      error: 'You do not have access to this appointment'
+    });
+    return null;
+  }
+
+  // Services expect the lead id
+  appointment.depopulate('lead');
+  return appointment;
+};
+
+/**
+ * @route   PATCH /api/appointments/admin/:id/confirm
+ * @desc    Confirm a viewing requested from the website
+ * @body    teamMemberId - Agent (optional, defaults to the one already attached)
+ * @access  Private/Admin
+ */
+router.patch('/admin/:id/confirm', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const appointment = await loadForUpdate(req, res);
+    if (!appointment) return;
+
+    const teamMemberId = req.admin.role === 'superadmin'
+      ? req.body.teamMemberId
+      : getWorkerId(req);
+
+    await appointmentService.confirm(appointment, { teamMemberId }, req.admin._id);
+
+    res.status(200).json({
+      success: true,
+      data: await populateAppointment(Appointment.findById(appointment._id))
+    });
+  } catch (error) {
+    console.error('Error confirming appointment:', error);
+    sendServiceError(res, error, 'Failed to confirm appointment');
+  }
+});
+
+/**
+ * @route   PATCH /api/appointments/admin/:id/reschedule
+ * @desc    Move an appointment to another time and/or agent
+ * @body    startAt, endAt | durationMinutes, teamMemberId (superadmin only)
+ * @access  Private/Admin
+ */
+router.patch('/admin/:id/reschedule', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const appointment = await loadForUpdate(req, res);
+    if (!appointment) return;
+
+    const data = {
+      startAt: req.body.startAt,
+      endAt: req.body.endAt,
+      durationMinutes: req.body.durationMinutes,
+      teamMemberId: req.admin.role === 'superadmin' ? req.body.teamMemberId : undefined
+    };
+
+    await appointmentService.reschedule(appointment, data, req.admin._id);
+
+    res.status(200).json({
+      success: true,
+      data: await populateAppointment(Appointment.findById(appointment._id))
+    });
+  } catch (error) {
+    console.error('Error rescheduling appointment:', error);
+    sendServiceError(res, error, 'Failed to reschedule appointment');
+  }
+});
+
+/**
+ * @route   PATCH /api/appointments/admin/:id/complete
+ * @desc    Mark a viewing as done
+ * @access  Private/Admin
+ */
+router.patch('/admin/:id/complete', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const appointment = await loadForUpdate(req, res);
+    if (!appointment) return;
+
+    await appointmentService.complete(appointment);
+
+    res.status(200).json({
+      success: true,
+      data: await populateAppointment(Appointment.findById(appointment._id))
+    });
+  } catch (error) {
+    console.error('Error completing appointment:', error);
+    sendServiceError(res, error, 'Failed to complete appointment');
+  }
+});
+
+/**
+ * @route   PATCH /api/appointments/admin/:id/cancel
+ * @desc    Cancel an appointment
+ * @body    reason - Optional cancellation reason
+ * @access  Private/Admin
+ */
+router.patch('/admin/:id/cancel', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const appointment = await loadForUpdate(req, res);
+    if (!appointment) return;
+
+    await appointmentService.cancel(appointment, req.body.reason, req.admin._id);
+
+    res.status(200).json({
+      success: true,
+      data: await populateAppointment(Appointment.findById(appointment._id))
+    });
+  } catch (error) {
+    console.error('Error cancelling appointment:', error);
+    sendServiceError(res, error, 'Failed to cancel appointment');
+  }
+});
+
+module.exports = router;
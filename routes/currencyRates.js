@@ -0,0 +1,106 @@
+// backend/routes/currencyRates.js
+const express = require('express');
+const router = express.Router();
+const currencyService = require('../services/currencyService');
+const { protect, authorize } = require('../middleware/auth');
+
+// ==================== PUBLIC ROUTES ====================
+
+/**
+ * @route   GET /api/currency-rates
+ * @desc    Current rates (value of 1 unit in the base currency) for the currency switcher
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const rates = await currencyService.getRates();
+
+    res.status(200).json({
+      success: true,
+      base: currencyService.getBaseCurrency(),
+      data: rates
+    });
+  } catch (error) {
+    console.error('Error fetching currency rates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch currency rates'
+    });
+  }
+});
+
+// ==================== ADMIN ROUTES ====================
+
+/**
+ * @route   GET /api/currency-rates/admin
+ * @desc    Rate table with source and last update
+ * @access  Private/Admin
+ */
+router.get('/admin', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const rates = await currencyService.getRateTable();
+
+    res.status(200).json({
+      success: true,
+      base: currencyService.getBaseCurrency(),
+      importConfigured: currencyService.isImportConfigured(),
+      count: rates.length,
+      data: rates
+    });
+  } catch (error) {
+    console.error('Error fetching currency rate table:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch currency rates'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/currency-rates/admin
+ * @desc    Update rates and re-normalize listing prices
+ * @body    rates - { USD: 3.7, EUR: 4.02 } (value of 1 unit in the base currency)
+ * @access  Private/Admin
+ */
+router.put('/admin', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const rates = await currencyService.setRates(req.body.rates, req.admin._id);
+
+    res.status(200).json({
+      success: true,
+      base: currencyService.getBaseCurrency(),
+      data: rates
+    });
+  } catch (error) {
+    console.error('Error updating currency rates:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to update currency rates'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/currency-rates/admin/import
+ * @desc    Import rates from the configured rates file (CURRENCY_RATES_FILE)
+ * @access  Private/Admin
+ */
+router.post('/admin/import', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const { rates } = await currencyService.importFromFile({ force: true });
+
+    res.status(200).json({
+      success: true,
+      base: currencyService.getBaseCurrency(),
+      data: rates
+    });
+  } catch (error) {
+    console.error('Error importing currency rates:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to import currency rates'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,191 +1,1448 @@
 // backend/routes/leads.js
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Lead = require('../models/Lead');
+const Project = require('../models/Project');
+const Course = require('../models/Course');
+const LeadActivity = require('../models/LeadActivity');
+const LeadRoutingRule = require('../models/LeadRoutingRule');
+const LeadTask = require('../models/LeadTask');
+const PipelineStage = require('../models/PipelineStage');
+const BlockedSender = require('../models/BlockedSender');
+const leadRoutingService = require('../services/leadRoutingService');
+const spamService = require('../services/spamService');
+const leadMergeService = require('../services/leadMergeService');
+const leadExportService = require('../services/leadExportService');
+const leadImportService = require('../services/leadImportService');
+const leadAnalyticsService = require('../services/leadAnalyticsService');
+const leadWebhookService = require('../services/leadWebhookService');
+const notificationService = require('../services/notificationService');
+const pipelineService = require('../services/pipelineService');
 const { protect, authorize } = require('../middleware/auth');
+const multer = require('multer');
+
+// ==================== HELPERS ====================
+
+// CSV upload for bulk import (kept in memory, parsed right away)
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const isCsv = file.originalname.toLowerCase().endsWith('.csv') ||
+      ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype);
+
+    if (!isCsv) {
+      return cb(new Error(`Invalid file type: ${file.mimetype}. Only CSV files allowed.`), false);
+    }
+    cb(null, true);
+  }
+});
+
+const handleMulterError = (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ success: false, error: 'File too large. Maximum size is 5MB.' });
+    }
+    return res.status(400).json({ success: false, error: err.message });
+  } else if (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  next();
+};
+
+/**
+ * Regular admins may only work on leads assigned to their worker profile
+ */
+const canAccessLead = (req, lead) => {
+  if (req.admin.role === 'superadmin') return true;
+  const adminWorkerId = req.admin.workerProfile?._id || req.admin._id;
+  // assignedTo may be populated
+  const assignedTo = lead.assignedTo?._id || lead.assignedTo;
+  return Boolean(assignedTo) && assignedTo.toString() === adminWorkerId.toString();
+};
+
+/**
+ * Validate optional project/course references from a lead form
+ * @returns {Object} { error } or { project, course }
+ */
+const resolveLeadInterest = async ({ projectId, courseId }) => {
+  if (projectId && courseId) {
+    return { error: 'A lead can reference a project or a course, not both' };
+  }
+
+  if (projectId) {
+    if (!mongoose.isValidObjectId(projectId)) return { error: 'Invalid project' };
+    const project = await Project.exists({ _id: projectId, status: { $ne: 'deleted' } });
+    if (!project) return { error: 'Project not found' };
+    return { project: project._id, course: null };
+  }
+
+  if (courseId) {
+    if (!mongoose.isValidObjectId(courseId)) return { error: 'Invalid course' };
+    const course = await Course.exists({ _id: courseId, active: true });
+    if (!course) return { error: 'Course not found' };
+    return { project: null, course: course._id };
+  }
+
+  return { project: null, course: null };
+};
+
+/**
+ * Parse a JSON object sent as a FormData string
+ */
+const parseJsonField = (value) => {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  return JSON.parse(value);
+};
+
+/**
+ * Build Lead.getFilteredLeads filters from the query string,
+ * applying the role rule that agent admins only see their own leads
+ */
+const buildLeadFilters = (req) => {
+  const {
+    status,
+    inquiryType,
+    priority,
+    assignedTo,
+    startDate,
+    endDate,
+    view,
+    search
+  } = req.query;
+
+  // Build filter object
+  const filters = {
+    status,
+    inquiryType,
+    priority,
+    startDate,
+    endDate,
+    search,
+    includeArchived: false,
+    includeSpam: false
+  };
+
+  // Handle view filter and worker profile filtering
+  if (view === 'mine' && req.admin) {
+    // Show only leads assigned to current admin's worker profile
+    const adminWorkerId = req.admin.workerProfile?._id || req.admin._id;
+    filters.assignedTo = adminWorkerId;
+  } else if (view === 'unassigned') {
+    filters.assignedTo = 'unassigned';
+  } else if (view && view !== 'all') {
+    // Specific team member ID
+    filters.assignedTo = view;
+  } else if (assignedTo) {
+    // Frontend explicitly passing assignedTo (for agent admins auto-filtering)
+    filters.assignedTo = assignedTo;
+  }
+
+  // 🆕 AUTO-FILTER: If admin has workerProfile and is NOT superadmin, only show their leads
+  if (req.admin.workerProfile && req.admin.role !== 'superadmin' && !assignedTo && view !== 'all') {
+    filters.assignedTo = req.admin.workerProfile._id;
+  }
+
+  return filters;
+};
 
 // ==================== PUBLIC ROUTES ====================
 
 /**
- * @route   POST /api/leads
- * @desc    Create new lead from contact form (PUBLIC)
- * @access  Public
+ * @route   POST /api/leads
+ * @desc    Create new lead from contact form (PUBLIC)
+ * @access  Public
+ */
+router.post('/', async (req, res) => {
+  try {
+    const {
+      fullName,
+      email,
+      phoneNumber,
+      inquiryType,
+      message,
+      lang = 'en',
+      projectId,
+      courseId
+    } = req.body;
+
+    const successMessage = 'Your message has been received! We will contact you soon.';
+
+    // Honeypot: bots fill the hidden field, pretend it worked and drop it
+    if (spamService.isHoneypotTriggered(req.body)) {
+      return res.status(201).json({
+        success: true,
+        message: successMessage,
+        data: { fullName, email, inquiryType }
+      });
+    }
+
+    // Validate required fields
+    if (!fullName || !email || !phoneNumber || !inquiryType || !message) {
+      return res.status(400).json({
+        success: false,
+        error: 'All fields are required'
+      });
+    }
+
+    // Validate inquiry type
+    const validInquiryTypes = ['buying', 'selling', 'renting', 'land', 'consulting'];
+    if (!validInquiryTypes.includes(inquiryType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid inquiry type'
+      });
+    }
+
+    // Validate email format
+    const emailRegex = /^\S+@\S+\.\S+$/;
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid email format'
+      });
+    }
+
+    // Validate the property/course the client was looking at (optional)
+    const interest = await resolveLeadInterest({ projectId, courseId });
+    if (interest.error) {
+      return res.status(400).json({
+        success: false,
+        error: interest.error
+      });
+    }
+
+    // Get IP address (optional)
+    const ipAddress = spamService.getClientIp(req);
+
+    // Rate limiting per IP and per email
+    const rateLimit = await spamService.checkRateLimit({ ipAddress, email });
+    if (rateLimit.limited) {
+      res.set('Retry-After', String(rateLimit.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many submissions. Please try again later.'
+      });
+    }
+
+    // Same message sent again recently: don't create a second lead
+    const duplicate = await spamService.findRecentDuplicate({ email, ipAddress, message });
+    if (duplicate) {
+      return res.status(200).json({
+        success: true,
+        message: successMessage,
+        data: {
+          id: duplicate._id,
+          fullName,
+          email,
+          inquiryType
+        }
+      });
+    }
+
+    // Client language for the acknowledgement email
+    const language = String(lang).split('-')[0].toLowerCase();
+
+    // Heuristic spam scoring (includes the blocklist)
+    const spamCheck = await spamService.evaluate({ fullName, email, message, ipAddress });
+
+    // Create new lead
+    const lead = await Lead.create({
+      fullName,
+      email,
+      phoneNumber,
+      inquiryType,
+      message,
+      source: 'Website Contact Form',
+      project: interest.project,
+      course: interest.course,
+      language: ['en', 'ar', 'he'].includes(language) ? language : 'en',
+      ipAddress: ipAddress || null,
+      isSpam: spamCheck.isSpam,
+      spamScore: spamCheck.score,
+      spamReasons: spamCheck.reasons
+    });
+
+    // Auto-assign using the routing rules (never fail the submission over it)
+    if (!lead.isSpam) {
+      // Interest counter used to rank listings
+      if (lead.project) {
+        await Project.updateOne({ _id: lead.project }, { $inc: { inquiryCount: 1 } });
+      }
+
+      try {
+        await leadRoutingService.assignLead(lead);
+      } catch (routingError) {
+        console.error('Lead routing failed:', routingError.message);
+      }
+
+      // Async email notifications (don't wait)
+      notificationService.leadCreated(lead)
+        .catch(err => console.error('New lead notification failed:', err.message));
+      if (lead.assignedTo) {
+        notificationService.leadAssigned(lead)
+          .catch(err => console.error('Assignment notification failed:', err.message));
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: successMessage,
+      data: {
+        id: lead._id,
+        fullName: lead.fullName,
+        email: lead.email,
+        inquiryType: lead.inquiryType
+      }
+    });
+  } catch (error) {
+    console.error('Error creating lead:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit your message. Please try again.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/leads/webhook
+ * @desc    Inbound leads from WhatsApp / call tracking / Facebook / Instagram
+ *          (normalized payload, see services/leadWebhookService.js)
+ * @access  Public (HMAC-signed: X-Webhook-Timestamp + X-Webhook-Signature)
+ */
+router.post('/webhook', async (req, res) => {
+  try {
+    if (!leadWebhookService.isConfigured()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Webhook is not configured'
+      });
+    }
+
+    const verified = leadWebhookService.verifySignature(
+      req.rawBody,
+      req.get('X-Webhook-Timestamp'),
+      req.get('X-Webhook-Signature')
+    );
+    if (!verified) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid signature'
+      });
+    }
+
+    const { lead, action } = await leadWebhookService.ingest(req.body);
+
+    res.status(action === 'created' ? 201 : 200).json({
+      success: true,
+      action,
+      data: {
+        id: lead._id,
+        source: lead.source,
+        status: lead.status
+      }
+    });
+  } catch (error) {
+    console.error('Error processing lead webhook:', error);
+    const statusCode = error.statusCode || (error.name === 'ValidationError' ? 400 : 500);
+    res.status(statusCode).json({
+      success: false,
+      error: statusCode === 500 ? 'Failed to process webhook' : error.message
+    });
+  }
+});
+
+// ==================== ADMIN ROUTES ====================
+
+/**
+ * @route   GET /api/leads/admin/all
+ * @desc    Get all leads for admin (with role-based filtering)
+ * @query   search - Text across fullName, email, phoneNumber and message
+ * @query   sortBy - createdAt | updatedAt | priority | status | assignee (default: createdAt)
+ * @query   sortOrder - asc | desc (default: desc)
+ * @query   page, limit - Pagination (max 100 per page; no limit returns all)
+ * @access  Private/Admin
+ */
+router.get('/admin/all', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const filters = buildLeadFilters(req);
+    const { page, limit, sortBy, sortOrder } = req.query;
+
+    const result = await Lead.getLeadsPage(filters, { page, limit, sortBy, sortOrder });
+
+    res.status(200).json({
+      success: true,
+      count: result.leads.length,
+      pagination: {
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        pages: result.pages
+      },
+      data: result.leads
+    });
+  } catch (error) {
+    console.error('Error fetching leads:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch leads'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/leads/admin/stats
+ * @desc    Get lead statistics
+ * @access  Private/Admin
+ */
+router.get('/admin/stats', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const { view } = req.query;
+
+    let adminId = null;
+
+    // If regular admin viewing "mine", filter stats by their ID
+    if (view === 'mine' && req.admin.role === 'admin') {
+      adminId = req.admin._id;
+    }
+
+    const stats = await Lead.getStats(adminId);
+
+    res.status(200).json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Error fetching stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch statistics'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/leads/admin/analytics
+ * @desc    Funnel and conversion analytics (timeline, source, inquiry type, agents)
+ * @query   startDate, endDate - Date range on createdAt
+ * @query   groupBy - day | week | month (default: day)
+ * @query   inquiryType, assignedTo - Optional filters (superadmin may filter by agent)
+ * @access  Private/Admin
+ */
+router.get('/admin/analytics', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const { startDate, endDate, groupBy = 'day', inquiryType, assignedTo } = req.query;
+
+    if (!['day', 'week', 'month'].includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid groupBy. Must be: day, week, or month'
+      });
+    }
+
+    if ((startDate && isNaN(new Date(startDate).getTime())) || (endDate && isNaN(new Date(endDate).getTime()))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range'
+      });
+    }
+
+    const filters = { startDate, endDate, inquiryType, assignedTo };
+
+    // Regular admins only see analytics for their own leads
+    if (req.admin.role !== 'superadmin') {
+      filters.assignedTo = req.admin.workerProfile?._id || req.admin._id;
+    }
+
+    const analytics = await leadAnalyticsService.getAnalytics(filters, { groupBy });
+
+    res.status(200).json({
+      success: true,
+      data: analytics
+    });
+  } catch (error) {
+    console.error('Error fetching lead analytics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch analytics'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/leads/admin/export
+ * @desc    Export leads as CSV or Excel (same filters as /admin/all)
+ * @query   format - csv | xlsx (default: csv)
+ * @query   lang - Language for team member names (en, ar, he) - default: en
+ * @access  Private/Admin
+ */
+router.get('/admin/export', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+    const lang = String(req.query.lang || 'en').split('-')[0].toLowerCase();
+
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format. Must be: csv or xlsx'
+      });
+    }
+
+    if (!['en', 'ar', 'he'].includes(lang)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid language. Must be: en, ar, or he'
+      });
+    }
+
+    const filters = buildLeadFilters(req);
+
+    // Regular admins can only export their own leads
+    if (req.admin.role !== 'superadmin') {
+      filters.assignedTo = req.admin.workerProfile?._id || req.admin._id;
+    }
+
+    const leads = await Lead.getFilteredLeads(filters);
+    const fileName = `leads_${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    if (format === 'xlsx') {
+      const buffer = await leadExportService.toXlsx(leads, lang);
+      res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+      return res.send(buffer);
+    }
+
+    const buffer = leadExportService.toCsv(leads, lang);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error exporting leads:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export leads'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/leads/admin/import
+ * @desc    Bulk import leads from a CSV file with a per-row report
+ * @body    file - CSV file (multipart)
+ * @body    dryRun - 'true' to validate without saving
+ * @body    duplicates - 'skip' (default) or 'import'
+ * @body    mapping - Optional JSON { "CSV header": "leadField" }
+ * @body    defaults - Optional JSON with values for missing columns (source, assignedTo, ...)
+ * @access  Private/Superadmin
+ */
+router.post('/admin/import', protect, authorize('superadmin'), csvUpload.single('file'), handleMulterError, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'CSV file is required'
+      });
+    }
+
+    let mapping;
+    let defaults;
+    try {
+      mapping = parseJsonField(req.body.mapping);
+      defaults = parseJsonField(req.body.defaults);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: 'mapping and defaults must be valid JSON'
+      });
+    }
+
+    const duplicates = req.body.duplicates === 'import' ? 'import' : 'skip';
+
+    const report = await leadImportService.importCsv(req.file.buffer, {
+      dryRun: req.body.dryRun === 'true' || req.body.dryRun === true,
+      duplicates,
+      mapping,
+      defaults,
+      adminId: req.admin._id
+    });
+
+    res.status(report.dryRun ? 200 : 201).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error importing leads:', error);
+    const isCsvError = error.code && error.code.startsWith('CSV_');
+    res.status(isCsvError ? 400 : 500).json({
+      success: false,
+      error: isCsvError ? `Invalid CSV: ${error.message}` : 'Failed to import leads'
+    });
+  }
+});
+
+// ==================== FOLLOW-UP TASKS ====================
+
+/**
+ * @route   GET /api/leads/admin/tasks/my
+ * @desc    Get my open follow-up tasks
+ * @query   due - today | overdue | upcoming | all (default: all)
+ * @query   assignee - Team member ID (superadmin only, 'all' for everyone)
+ * @access  Private/Admin
+ */
+router.get('/admin/tasks/my', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const { due = 'all', assignee } = req.query;
+
+    if (!['today', 'overdue', 'upcoming', 'all'].includes(due)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid due filter. Must be: today, overdue, upcoming, or all'
+      });
+    }
+
+    let assigneeId = req.admin.workerProfile?._id || req.admin._id;
+    if (req.admin.role === 'superadmin' && assignee) {
+      assigneeId = assignee === 'all' ? null : assignee;
+    }
+
+    const tasks = await LeadTask.getTasksFor(assigneeId, due);
+
+    res.status(200).json({
+      success: true,
+      count: tasks.length,
+      data: tasks
+    });
+  } catch (error) {
+    console.error('Error fetching tasks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tasks'
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/leads/admin/tasks/:taskId
+ * @desc    Update a follow-up task (description, dueDate, assignee, status)
+ * @access  Private/Admin
+ */
+router.patch('/admin/tasks/:taskId', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const task = await LeadTask.findById(req.params.taskId).populate('lead', 'assignedTo');
+
+    if (!task || !task.lead) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    if (!canAccessLead(req, task.lead)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only update tasks of leads assigned to you'
+      });
+    }
+
+    const allowedFields = req.admin.role === 'superadmin'
+      ? ['description', 'dueDate', 'assignee', 'status']
+      : ['description', 'dueDate', 'status'];
+
+    const wasOpen = task.status === 'open';
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        task.set(field, req.body[field]);
+      }
+    });
+    await task.save();
+
+    if (wasOpen && task.status === 'done') {
+      await LeadActivity.record({
+        lead: task.lead._id,
+        type: 'task_completed',
+        to: task._id.toString(),
+        note: task.description,
+        actor: req.admin._id
+      });
+    }
+
+    await task.populate('assignee', 'translations.en.name translations.ar.name translations.he.name email');
+
+    res.status(200).json({
+      success: true,
+      data: task
+    });
+  } catch (error) {
+    console.error('Error updating task:', error);
+    const statusCode = error.name === 'ValidationError' ? 400 : 500;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message || 'Failed to update task'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/leads/admin/tasks/:taskId
+ * @desc    Delete a follow-up task
+ * @access  Private/Superadmin
+ */
+router.delete('/admin/tasks/:taskId', protect, authorize('superadmin'), async (req, res) => {
+  try {
+    const task = await LeadTask.findByIdAndDelete(req.params.taskId);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {},
+      message: 'Task deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting task:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete task'
+    });
+  }
+});
+
+// ==================== PIPELINE STAGES ====================
+
+/**
+ * @route   GET /api/leads/admin/pipeline/stages
+ * @desc    List pipeline stages in order
+ * @access  Private/Admin
+ */
+router.get('/admin/pipeline/stages', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const stages = await pipelineService.getStages();
+
+    res.status(200).json({
+      success: true,
+      count: stages.length,
+      data: stages
+    });
+  } catch (error) {
+    console.error('Error fetching pipeline stages:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch pipeline stages'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/leads/admin/pipeline/durations
+ * @desc    Average time leads spend in each stage
+ * @access  Private/Admin
+ */
+router.get('/admin/pipeline/durations', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const adminId = req.admin.role === 'superadmin'
+      ? null
+      : req.admin.workerProfile?._id || req.admin._id;
+
+    const durations = await Lead.getStageDurations(adminId);
+
+    res.status(200).json({
+      success: true,
+      data: durations
+    });
+  } catch (error) {
+    console.error('Error fetching stage durations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stage durations'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/leads/admin/pipeline/stages
+ * @desc    Create a pipeline stage
+ * @access  Private/Superadmin
+ */
+router.post('/admin/pipeline/stages', protect, authorize('superadmin'), async (req, res) => {
+  try {
+    const { key, translations, order, category, active } = req.body;
+
+    const stage = await PipelineStage.create({ key, translations, order, category, active });
+    pipelineService.invalidate();
+
+    res.status(201).json({
+      success: true,
+      data: stage
+    });
+  } catch (error) {
+    console.error('Error creating pipeline stage:', error);
+    const isClientError = error.name === 'ValidationError' || error.code === 11000;
+    res.status(isClientError ? 400 : 500).json({
+      success: false,
+      error: error.code === 11000 ? 'A stage with this key already exists' : error.message || 'Failed to create pipeline stage'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/leads/admin/pipeline/stages/:stageId
+ * @desc    Update a pipeline stage (name, order, category, active). The key can't change.
+ * @access  Private/Superadmin
+ */
+router.put('/admin/pipeline/stages/:stageId', protect, authorize('superadmin'), async (req, res) => {
+  try {
+    const stage = await PipelineStage.findById(req.params.stageId);
+
+    if (!stage) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pipeline stage not found'
+      });
+    }
+
+    const { translations, order, category, active } = req.body;
+
+    if (stage.isSystem && category !== undefined && category !== stage.category) {
+      return res.status(400).json({
+        success: false,
+        error: 'The category of a built-in stage cannot be changed'
+      });
+    }
+
+    if (translations !== undefined) stage.translations = translations;
+    if (order !== undefined) stage.order = order;
+    if (category !== undefined) stage.category = category;
+    if (active !== undefined) stage.active = active;
+
+    await stage.save();
+    pipelineService.invalidate();
+
+    res.status(200).json({
+      success: true,
+      data: stage
+    });
+  } catch (error) {
+    console.error('Error updating pipeline stage:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message || 'Failed to update pipeline stage'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/leads/admin/pipeline/stages/:stageId
+ * @desc    Delete an unused custom pipeline stage
+ * @access  Private/Superadmin
+ */
+router.delete('/admin/pipeline/stages/:stageId', protect, authorize('superadmin'), async (req, res) => {
+  try {
+    const stage = await PipelineStage.findById(req.params.stageId);
+
+    if (!stage) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pipeline stage not found'
+      });
+    }
+
+    if (stage.isSystem) {
+      return res.status(400).json({
+        success: false,
+        error: 'Built-in stages cannot be deleted (deactivate them instead)'
+      });
+    }
+
+    const leadsInStage = await Lead.countDocuments({ status: stage.key });
+    if (leadsInStage > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${leadsInStage} lead(s) are in this stage. Move them before deleting it.`
+      });
+    }
+
+    await stage.deleteOne();
+    pipelineService.invalidate();
+
+    res.status(200).json({
+      success: true,
+      data: {},
+      message: 'Pipeline stage deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting pipeline stage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete pipeline stage'
+    });
+  }
+});
+
+// ==================== ROUTING RULES (Superadmin) ====================
+
+/**
+ * Pick routing rule fields from the request body
+ */
+const pickRoutingRuleFields = (body) => {
+  const fields = ['name', 'strategy', 'inquiryTypes', 'members', 'keywords', 'order', 'active'];
+  const data = {};
+  fields.forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+  return data;
+};
+
+/**
+ * @route   GET /api/leads/admin/routing-rules
+ * @desc    List lead routing rules in evaluation order
+ * @access  Private/Superadmin
+ */
+router.get('/admin/routing-rules', protect, authorize('superadmin'), async (req, res) => {
+  try {
+    const rules = await LeadRoutingRule.find()
+      .populate('members', 'translations.en.name translations.ar.name translations.he.name role email active')
+      .sort({ order: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Error fetching routing rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch routing rules'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/leads/admin/routing-rules
+ * @desc    Create a lead routing rule
+ * @access  Private/Superadmin
+ */
+router.post('/admin/routing-rules', protect, authorize('superadmin'), async (req, res) => {
+  try {
+    const rule = await LeadRoutingRule.create({
+      ...pickRoutingRuleFields(req.body),
+      createdBy: req.admin._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    console.error('Error creating routing rule:', error);
+    const statusCode = error.name === 'ValidationError' ? 400 : 500;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message || 'Failed to create routing rule'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/leads/admin/routing-rules/:ruleId
+ * @desc    Update a lead routing rule
+ * @access  Private/Superadmin
+ */
+router.put('/admin/routing-rules/:ruleId', protect, authorize('superadmin'), async (req, res) => {
+  try {
+    const rule = await LeadRoutingRule.findByIdAndUpdate(
+      req.params.ruleId,
+      pickRoutingRuleFields(req.body),
+      { new: true, runValidators: true }
+    );
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Routing rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    console.error('Error updating routing rule:', error);
+    const statusCode = error.name === 'ValidationError' ? 400 : 500;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message || 'Failed to update routing rule'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/leads/admin/routing-rules/:ruleId
+ * @desc    Delete a lead routing rule
+ * @access  Private/Superadmin
+ */
+router.delete('/admin/routing-rules/:ruleId', protect, authorize('superadmin'), async (req, res) => {
+  try {
+    const rule = await LeadRoutingRule.findByIdAndDelete(req.params.ruleId);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Routing rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {},
+      message: 'Routing rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting routing rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete routing rule'
+    });
+  }
+});
+
+// ==================== SPAM BLOCKLIST (Superadmin) ====================
+
+/**
+ * @route   GET /api/leads/admin/blocklist
+ * @desc    List blocked emails, domains and IPs
+ * @access  Private/Superadmin
+ */
+router.get('/admin/blocklist', protect, authorize('superadmin'), async (req, res) => {
+  try {
+    const { type } = req.query;
+    const query = {};
+    if (type && type !== 'all') {
+      query.type = type;
+    }
+
+    const blocks = await BlockedSender.find(query)
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: blocks.length,
+      data: blocks
+    });
+  } catch (error) {
+    console.error('Error fetching blocklist:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch blocklist'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/leads/admin/blocklist
+ * @desc    Block an email, domain or IP
+ * @access  Private/Superadmin
+ */
+router.post('/admin/blocklist', protect, authorize('superadmin'), async (req, res) => {
+  try {
+    const { type, value, reason } = req.body;
+
+    if (!['email', 'domain', 'ip'].includes(type) || typeof value !== 'string' || !value.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid type (email, domain, ip) and value are required'
+      });
+    }
+
+    const block = await BlockedSender.block(type, value, {
+      reason: reason || '',
+      createdBy: req.admin._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: block
+    });
+  } catch (error) {
+    console.error('Error adding block:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to add block'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/leads/admin/blocklist/:blockId
+ * @desc    Remove an entry from the blocklist
+ * @access  Private/Superadmin
+ */
+router.delete('/admin/blocklist/:blockId', protect, authorize('superadmin'), async (req, res) => {
+  try {
+    const block = await BlockedSender.findByIdAndDelete(req.params.blockId);
+
+    if (!block) {
+      return res.status(404).json({
+        success: false,
+        error: 'Block not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {},
+      message: 'Block removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing block:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove block'
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/leads/admin/:id/spam
+ * @desc    Mark/unmark a lead as spam (and block/unblock its sender)
+ * @access  Private/Superadmin
+ */
+router.patch('/admin/:id/spam', protect, authorize('superadmin'), async (req, res) => {
+  try {
+    const { isSpam, block = true } = req.body;
+
+    if (typeof isSpam !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'isSpam must be true or false'
+      });
+    }
+
+    const lead = await Lead.findById(req.params.id);
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lead not found'
+      });
+    }
+
+    lead.isSpam = isSpam;
+    lead.setActor(req.admin._id);
+    await lead.save();
+
+    if (isSpam && block) {
+      await spamService.blockLeadSender(lead, req.admin._id);
+    } else if (!isSpam) {
+      await spamService.unblockLeadSender(lead);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: lead,
+      message: isSpam ? 'Lead marked as spam' : 'Lead unmarked as spam'
+    });
+  } catch (error) {
+    console.error('Error updating spam status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update spam status'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/leads/admin/:id/route
+ * @desc    Run the routing rules on an unassigned lead
+ * @access  Private/Superadmin
+ */
+router.post('/admin/:id/route', protect, authorize('superadmin'), async (req, res) => {
+  try {
+    const lead = await Lead.findById(req.params.id);
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lead not found'
+      });
+    }
+
+    if (lead.assignedTo) {
+      return res.status(400).json({
+        success: false,
+        error: 'Lead is already assigned'
+      });
+    }
+
+    await leadRoutingService.assignLead(lead);
+
+    if (lead.assignedTo) {
+      notificationService.leadAssigned(lead)
+        .catch(err => console.error('Assignment notification failed:', err.message));
+    }
+
+    await lead.populate('assignedTo', 'translations.en.name translations.ar.name translations.he.name role email');
+
+    res.status(200).json({
+      success: true,
+      data: lead,
+      message: lead.assignedTo ? 'Lead routed successfully' : 'No routing rule matched this lead'
+    });
+  } catch (error) {
+    console.error('Error routing lead:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to route lead'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/leads/admin/:id
+ * @desc    Get single lead by ID
+ * @access  Private/Admin
  */
-router.post('/', async (req, res) => {
+router.get('/admin/:id', protect, authorize('admin', 'superadmin'), async (req, res) => {
   try {
-    const {
-      fullName,
-      email,
-      phoneNumber,
-      inquiryType,
-      message
-    } = req.body;
+    const lead = await Lead.findById(req.params.id)
+      .populate('assignedTo', 'translations.en.name translations.ar.name translations.he.name role email phoneNumber')
+      .populate('project', 'translations.en.title translations.ar.title translations.he.title mainImage type status')
+      .populate('course', 'translations.en.title translations.ar.title translations.he.title image active');
 
-    // Validate required fields
-    if (!fullName || !email || !phoneNumber || !inquiryType || !message) {
-      return res.status(400).json({
+    if (!lead) {
+      return res.status(404).json({
         success: false,
-        error: 'All fields are required'
+        error: 'Lead not found'
       });
     }
 
-    // Validate inquiry type
-    const validInquiryTypes = ['buying', 'selling', 'renting', 'land', 'consulting'];
-    if (!validInquiryTypes.includes(inquiryType)) {
-      return res.status(400).json({
+    res.status(200).json({
+      success: true,
+      data: lead
+    });
+  } catch (error) {
+    console.error('Error fetching lead:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch lead'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/leads/admin/:id/activity
+ * @desc    Get the activity timeline of a lead (newest first)
+ * @access  Private/Admin
+ */
+router.get('/admin/:id/activity', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const lead = await Lead.findById(req.params.id).select('_id assignedTo');
+
+    if (!lead) {
+      return res.status(404).json({
         success: false,
-        error: 'Invalid inquiry type'
+        error: 'Lead not found'
       });
     }
 
-    // Validate email format
-    const emailRegex = /^\S+@\S+\.\S+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({
+    if (!canAccessLead(req, lead)) {
+      return res.status(403).json({
         success: false,
-        error: 'Invalid email format'
+        error: 'You can only view the activity of leads assigned to you'
       });
     }
 
-    // Get IP address (optional)
-    const ipAddress = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
+    const activity = await LeadActivity.getTimeline(lead._id);
 
-    // Create new lead
-    const lead = await Lead.create({
-      fullName,
-      email,
-      phoneNumber,
-      inquiryType,
-      message,
-      source: 'Website Contact Form',
-      ipAddress: ipAddress || null
+    res.status(200).json({
+      success: true,
+      count: activity.length,
+      data: activity
+    });
+  } catch (error) {
+    console.error('Error fetching lead activity:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch lead activity'
     });
+  }
+});
+
+/**
+ * @route   POST /api/leads/admin/:id/notes
+ * @desc    Append a note to the lead's activity log
+ * @access  Private/Admin
+ */
+router.post('/admin/:id/notes', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    if (typeof note !== 'string' || !note.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note text is required'
+      });
+    }
+
+    const lead = await Lead.findById(req.params.id);
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lead not found'
+      });
+    }
+
+    if (!canAccessLead(req, lead)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only add notes to leads assigned to you'
+      });
+    }
+
+    const [entry] = await lead.addNote(note.trim(), req.admin._id);
+    await entry.populate('actor', 'firstName lastName email role');
 
     res.status(201).json({
       success: true,
-      message: 'Your message has been received! We will contact you soon.',
-      data: {
-        id: lead._id,
-        fullName: lead.fullName,
-        email: lead.email,
-        inquiryType: lead.inquiryType
-      }
+      data: entry
     });
   } catch (error) {
-    console.error('Error creating lead:', error);
+    console.error('Error adding lead note:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to submit your message. Please try again.'
+      error: 'Failed to add note'
     });
   }
 });
 
-// ==================== ADMIN ROUTES ====================
-
 /**
- * @route   GET /api/leads/admin/all
- * @desc    Get all leads for admin (with role-based filtering)
+ * @route   GET /api/leads/admin/:id/tasks
+ * @desc    Get follow-up tasks of a lead
  * @access  Private/Admin
  */
-router.get('/admin/all', protect, authorize('admin', 'superadmin'), async (req, res) => {
+router.get('/admin/:id/tasks', protect, authorize('admin', 'superadmin'), async (req, res) => {
   try {
-    const {
-      status,
-      inquiryType,
-      priority,
-      assignedTo,
-      startDate,
-      endDate,
-      view
-    } = req.query;
+    const lead = await Lead.findById(req.params.id).select('_id assignedTo');
 
-    // Build filter object
-    const filters = {
-      status,
-      inquiryType,
-      priority,
-      startDate,
-      endDate,
-      includeArchived: false,
-      includeSpam: false
-    };
-
-    // Handle view filter and worker profile filtering
-    if (view === 'mine' && req.admin) {
-      // Show only leads assigned to current admin's worker profile
-      const adminWorkerId = req.admin.workerProfile?._id || req.admin._id;
-      filters.assignedTo = adminWorkerId;
-    } else if (view === 'unassigned') {
-      filters.assignedTo = 'unassigned';
-    } else if (view && view !== 'all') {
-      // Specific team member ID
-      filters.assignedTo = view;
-    } else if (assignedTo) {
-      // Frontend explicitly passing assignedTo (for agent admins auto-filtering)
-      filters.assignedTo = assignedTo;
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lead not found'
+      });
     }
 
-    // 🆕 AUTO-FILTER: If admin has workerProfile and is NOT superadmin, only show their leads
-    if (req.admin.workerProfile && req.admin.role !== 'superadmin' && !assignedTo && view !== 'all') {
-      filters.assignedTo = req.admin.workerProfile._id;
+    if (!canAccessLead(req, lead)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only view tasks of leads assigned to you'
+      });
     }
 
-    const leads = await Lead.getFilteredLeads(filters);
+    const tasks = await LeadTask.find({ lead: lead._id })
+      .populate('assignee', 'translations.en.name translations.ar.name translations.he.name email')
+      .sort({ dueDate: 1 });
 
     res.status(200).json({
       success: true,
-      count: leads.length,
-      data: leads
+      count: tasks.length,
+      data: tasks
     });
   } catch (error) {
-    console.error('Error fetching leads:', error);
+    console.error('Error fetching lead tasks:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch leads'
+      error: 'Failed to fetch tasks'
     });
   }
 });
 
 /**
- * @route   GET /api/leads/admin/stats
- * @desc    Get lead statistics
+ * @route   POST /api/leads/admin/:id/tasks
+ * @desc    Add a follow-up task to a lead (assignee defaults to the lead's agent)
  * @access  Private/Admin
  */
-router.get('/admin/stats', protect, authorize('admin', 'superadmin'), async (req, res) => {
+router.post('/admin/:id/tasks', protect, authorize('admin', 'superadmin'), async (req, res) => {
   try {
-    const { view } = req.query;
+    const { description, dueDate, assignee } = req.body;
 
-    let adminId = null;
+    if (!description || !dueDate || isNaN(new Date(dueDate).getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Description and a valid dueDate are required'
+      });
+    }
 
-    // If regular admin viewing "mine", filter stats by their ID
-    if (view === 'mine' && req.admin.role === 'admin') {
-      adminId = req.admin._id;
+    const lead = await Lead.findById(req.params.id);
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lead not found'
+      });
     }
 
-    const stats = await Lead.getStats(adminId);
+    if (!canAccessLead(req, lead)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only add tasks to leads assigned to you'
+      });
+    }
 
-    res.status(200).json({
+    const task = await LeadTask.create({
+      lead: lead._id,
+      description,
+      dueDate,
+      assignee: (req.admin.role === 'superadmin' && assignee) || lead.assignedTo || null,
+      createdBy: req.admin._id
+    });
+
+    await LeadActivity.record({
+      lead: lead._id,
+      type: 'task_created',
+      to: task._id.toString(),
+      note: task.description,
+      actor: req.admin._id
+    });
+
+    await task.populate('assignee', 'translations.en.name translations.ar.name translations.he.name email');
+
+    res.status(201).json({
       success: true,
-      data: stats
+      data: task
     });
   } catch (error) {
-    console.error('Error fetching stats:', error);
-    res.status(500).json({
+    console.error('Error creating task:', error);
+    const statusCode = error.name === 'ValidationError' ? 400 : 500;
+    res.status(statusCode).json({
       success: false,
-      error: 'Failed to fetch statistics'
+      error: error.message || 'Failed to create task'
     });
   }
 });
 
 /**
- * @route   GET /api/leads/admin/:id
- * @desc    Get single lead by ID
+ * @route   GET /api/leads/admin/:id/duplicates
+ * @desc    Find other leads with the same email or phone number (admins: only leads assigned to them)
  * @access  Private/Admin
  */
-router.get('/admin/:id', protect, authorize('admin', 'superadmin'), async (req, res) => {
+router.get('/admin/:id/duplicates', protect, authorize('admin', 'superadmin'), async (req, res) => {
   try {
-    const lead = await Lead.findById(req.params.id)
-      .populate('assignedTo', 'translations.en.name translations.ar.name translations.he.name role email phoneNumber');
+    const lead = await Lead.findById(req.params.id);
 
     if (!lead) {
       return res.status(404).json({
@@ -194,15 +1451,60 @@ router.get('/admin/:id', protect, authorize('admin', 'superadmin'), async (req,
       });
     }
 
+    if (!canAccessLead(req, lead)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only view duplicates of leads assigned to you'
+      });
+    }
+
+    // Regular admins only see the duplicates they work on themselves
+    const duplicates = (await Lead.findDuplicates(lead)).filter(duplicate => canAccessLead(req, duplicate));
+
     res.status(200).json({
       success: true,
-      data: lead
+      count: duplicates.length,
+      data: duplicates
     });
   } catch (error) {
-    console.error('Error fetching lead:', error);
+    console.error('Error finding duplicate leads:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch lead'
+      error: 'Failed to find duplicate leads'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/leads/admin/merge
+ * @desc    Merge duplicate leads into the earliest one
+ * @body    leadIds - Array of lead IDs (at least two)
+ * @access  Private/Superadmin
+ */
+router.post('/admin/merge', protect, authorize('superadmin'), async (req, res) => {
+  try {
+    const { leadIds } = req.body;
+
+    if (!Array.isArray(leadIds) || leadIds.length < 2) {
+      return res.status(400).json({
+        success: false,
+        error: 'leadIds must contain at least two lead IDs'
+      });
+    }
+
+    const lead = await leadMergeService.merge(leadIds, req.admin._id);
+    await lead.populate('assignedTo', 'translations.en.name translations.ar.name translations.he.name role email');
+
+    res.status(200).json({
+      success: true,
+      data: lead,
+      message: `Merged ${leadIds.length} leads successfully`
+    });
+  } catch (error) {
+    console.error('Error merging leads:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to merge leads'
     });
   }
 });
@@ -224,7 +1526,9 @@ router.post('/admin/create', protect, authorize('superadmin'), async (req, res)
       priority,
       assignedTo,
       source,
-      notes
+      notes,
+      projectId,
+      courseId
     } = req.body;
 
     // Validate required fields
@@ -235,7 +1539,15 @@ router.post('/admin/create', protect, authorize('superadmin'), async (req, res)
       });
     }
 
-    const lead = await Lead.create({
+    const interest = await resolveLeadInterest({ projectId, courseId });
+    if (interest.error) {
+      return res.status(400).json({
+        success: false,
+        error: interest.error
+      });
+    }
+
+    const lead = new Lead({
       fullName,
       email,
       phoneNumber,
@@ -245,15 +1557,28 @@ router.post('/admin/create', protect, authorize('superadmin'), async (req, res)
       priority: priority || 'Medium',
       assignedTo: assignedTo || null,
       source: source || 'Manual Entry',
-      notes: notes || ''
+      notes: notes || '',
+      project: interest.project,
+      course: interest.course
     });
 
+    lead.setActor(req.admin._id);
+    await lead.save();
+
+    if (lead.project) {
+      await Project.updateOne({ _id: lead.project }, { $inc: { inquiryCount: 1 } });
+    }
+
     // Populate assignedTo before sending response
     await lead.populate('assignedTo', 'translations.en.name translations.ar.name translations.he.name role email');
 
+    // Warn about existing leads from the same client
+    const duplicates = await Lead.findDuplicates(lead);
+
     res.status(201).json({
       success: true,
-      data: lead
+      data: lead,
+      duplicates
     });
   } catch (error) {
     console.error('Error creating lead:', error);
@@ -294,69 +1619,53 @@ router.put('/admin/:id', protect, authorize('admin', 'superadmin'), async (req,
       }
 
       // 🆕 Regular admin can only update certain fields
-      const allowedFields = ['status', 'priority', 'notes'];
-      const updateData = {};
+      const allowedFields = ['status', 'lostReason', 'priority', 'notes'];
 
       allowedFields.forEach(field => {
         if (req.body[field] !== undefined) {
-          updateData[field] = req.body[field];
+          lead.set(field, req.body[field]);
         }
       });
 
-      lead = await Lead.findByIdAndUpdate(
-        req.params.id,
-        updateData,
-        { new: true, runValidators: true }
-      ).populate('assignedTo', 'translations.en.name translations.ar.name translations.he.name role email');
-
     } else {
       // Superadmin can edit everything
-      const {
-        fullName,
-        email,
-        phoneNumber,
-        inquiryType,
-        message,
-        status,
-        priority,
-        notes,
-        assignedTo,
-        source,
-        contactedAt,
-        closedAt,
-        isArchived,
-        isSpam
-      } = req.body;
-
-      lead = await Lead.findByIdAndUpdate(
-        req.params.id,
-        {
-          fullName,
-          email,
-          phoneNumber,
-          inquiryType,
-          message,
-          status,
-          priority,
-          notes,
-          assignedTo,
-          source,
-          contactedAt,
-          closedAt,
-          isArchived,
-          isSpam
-        },
-        { new: true, runValidators: true }
-      ).populate('assignedTo', 'translations.en.name translations.ar.name translations.he.name role email');
+      const allowedFields = [
+        'fullName',
+        'email',
+        'phoneNumber',
+        'inquiryType',
+        'message',
+        'status',
+        'lostReason',
+        'priority',
+        'notes',
+        'assignedTo',
+        'source',
+        'contactedAt',
+        'closedAt',
+        'isArchived',
+        'isSpam'
+      ];
+
+      allowedFields.forEach(field => {
+        if (req.body[field] !== undefined) {
+          lead.set(field, req.body[field]);
+        }
+      });
     }
 
+    // Save through the document so changes are written to the activity log
+    lead.setActor(req.admin._id);
+    await lead.save();
+    await lead.populate('assignedTo', 'translations.en.name translations.ar.name translations.he.name role email');
+
     res.status(200).json({
       success: true,
       data: lead
     });
   } catch (error) {
     console.error('Error updating lead:', error);
-    res.status(500).json({
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
       success: false,
       error: error.message || 'Failed to update lead'
     });
@@ -404,11 +1713,7 @@ router.patch('/admin/:id/assign', protect, authorize('superadmin'), async (req,
   try {
     const { assignedTo } = req.body;
 
-    const lead = await Lead.findByIdAndUpdate(
-      req.params.id,
-      { assignedTo: assignedTo || null },
-      { new: true, runValidators: true }
-    ).populate('assignedTo', 'translations.en.name translations.ar.name translations.he.name role email');
+    const lead = await Lead.findById(req.params.id);
 
     if (!lead) {
       return res.status(404).json({
@@ -417,6 +1722,17 @@ router.patch('/admin/:id/assign', protect, authorize('superadmin'), async (req,
       });
     }
 
+    const previousAssignee = lead.assignedTo ? lead.assignedTo.toString() : null;
+    await lead.assignTo(assignedTo || null, req.admin._id);
+
+    // Async email to the new assignee (don't wait)
+    if (lead.assignedTo && lead.assignedTo.toString() !== previousAssignee) {
+      notificationService.leadAssigned(lead)
+        .catch(err => console.error('Assignment notification failed:', err.message));
+    }
+
+    await lead.populate('assignedTo', 'translations.en.name translations.ar.name translations.he.name role email');
+
     res.status(200).json({
       success: true,
       data: lead,
@@ -460,7 +1776,7 @@ router.patch('/admin/:id/contact', protect, authorize('admin', 'superadmin'), as
       }
     }
 
-    await lead.markAsContacted();
+    await lead.markAsContacted(req.admin._id);
     await lead.populate('assignedTo', 'translations.en.name translations.ar.name translations.he.name role email');
 
     res.status(200).json({
@@ -479,7 +1795,9 @@ router.patch('/admin/:id/contact', protect, authorize('admin', 'superadmin'), as
 
 /**
  * @route   PATCH /api/leads/admin/:id/close
- * @desc    Close lead
+ * @desc    Close lead as won (default) or lost
+ * @body    outcome - won | lost (default: won)
+ * @body    lostReason - Required when outcome is lost
  * @access  Private/Admin
  */
 router.patch('/admin/:id/close', protect, authorize('admin', 'superadmin'), async (req, res) => {
@@ -506,16 +1824,31 @@ router.patch('/admin/:id/close', protect, authorize('admin', 'superadmin'), asyn
       }
     }
 
-    await lead.closeLead();
+    const { outcome = 'won', lostReason } = req.body;
+
+    if (!['won', 'lost'].includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid outcome. Must be: won or lost'
+      });
+    }
+
+    await lead.closeLead(req.admin._id, { outcome, lostReason });
     await lead.populate('assignedTo', 'translations.en.name translations.ar.name translations.he.name role email');
 
     res.status(200).json({
       success: true,
       data: lead,
-      message: 'Lead closed successfully'
+      message: outcome === 'lost' ? 'Lead closed as lost' : 'Lead closed successfully'
     });
   } catch (error) {
     console.error('Error closing lead:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       error: 'Failed to close lead'
@@ -2,6 +2,15 @@
 const express = require('express');
 const router = express.Router();
 const Project = require('../models/Project');
+const Lead = require('../models/Lead');
+const PriceChange = require('../models/PriceChange');
+const currencyService = require('../services/currencyService');
+const amenityService = require('../services/amenityService');
+const similarProjectsService = require('../services/similarProjectsService');
+const projectViewService = require('../services/projectViewService');
+const spamService = require('../services/spamService');
+const ProjectView = require('../models/ProjectView');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
 const supabaseService = require('../services/supabaseService');
 const multer = require('multer');
 const crypto = require('crypto'); // ✅ IMPROVEMENT #2: For unique filenames
@@ -33,6 +42,252 @@ const rollbackUploads = async (uploadedUrls) => {
   }
 };
 
+/**
+ * Listing the caller can't see: deleted ones, and scheduled / expired ones
+ * unless an admin is logged in (req.admin from optionalAuth)
+ */
+const isHiddenFrom = (project, req) => {
+  if (project.status === 'deleted') return true;
+  return Project.HIDDEN_STATUSES.includes(project.status) && !req.admin;
+};
+
+/**
+ * Read the map position and structured location from the admin form
+ * lat/lng (or coordinates = "[lng, lat]"); empty values clear the position
+ * @returns {Object} { error } or { values, clearGeo }
+ */
+const parseGeoFields = (body) => {
+  const read = (field) => (Array.isArray(body[field]) ? body[field][0] : body[field]);
+  const values = {};
+  let clearGeo = false;
+
+  ['city', 'neighborhood'].forEach(field => {
+    if (read(field) !== undefined) {
+      values[field] = String(read(field)).trim().toLowerCase() || null;
+    }
+  });
+
+  let lng = read('lng');
+  let lat = read('lat');
+  if (read('coordinates') !== undefined && read('coordinates') !== '') {
+    try {
+      [lng, lat] = JSON.parse(read('coordinates'));
+    } catch (e) {
+      return { error: 'coordinates must be a JSON array [longitude, latitude]' };
+    }
+  }
+
+  if (lng === undefined && lat === undefined) {
+    return { values, clearGeo };
+  }
+
+  if ((lng === '' || lng === null) && (lat === '' || lat === null)) {
+    clearGeo = true;
+    return { values, clearGeo };
+  }
+
+  const longitude = Number(lng);
+  const latitude = Number(lat);
+  if (lng === '' || lat === '' || !Number.isFinite(longitude) || !Number.isFinite(latitude) ||
+      Math.abs(longitude) > 180 || Math.abs(latitude) > 90) {
+    return { error: 'Invalid coordinates. Longitude must be -180..180 and latitude -90..90' };
+  }
+
+  values.geo = { type: 'Point', coordinates: [longitude, latitude] };
+  return { values, clearGeo };
+};
+
+/**
+ * Read the scheduling and sale fields from the admin form
+ * publishAt, expiresAt, soldAt (ISO dates), salePrice, saleCurrency; empty values clear them
+ * @returns {Object} { error } or { values }
+ */
+const parseLifecycleFields = (body) => {
+  const read = (field) => (Array.isArray(body[field]) ? body[field][0] : body[field]);
+  const values = {};
+
+  for (const field of ['publishAt', 'expiresAt', 'soldAt']) {
+    const value = read(field);
+    if (value === undefined) continue;
+    if (value === '' || value === null) {
+      values[field] = null;
+      continue;
+    }
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return { error: `Invalid ${field} date` };
+    }
+    values[field] = date;
+  }
+
+  const salePrice = read('salePrice');
+  if (salePrice !== undefined) {
+    if (salePrice === '' || salePrice === null) {
+      values.salePrice = null;
+    } else if (!Number.isFinite(Number(salePrice)) || Number(salePrice) < 0) {
+      return { error: 'salePrice must be a non-negative number' };
+    } else {
+      values.salePrice = Number(salePrice);
+    }
+  }
+
+  const saleCurrency = read('saleCurrency');
+  if (saleCurrency !== undefined) {
+    values.saleCurrency = saleCurrency ? String(saleCurrency).toUpperCase() : null;
+    if (values.saleCurrency && !['ILS', 'USD', 'EUR'].includes(values.saleCurrency)) {
+      return { error: 'Invalid saleCurrency. Must be: ILS, USD, or EUR' };
+    }
+  }
+
+  return { values };
+};
+
+/**
+ * Read the monthly rent and lease terms from the admin form
+ * pricePerMonth, deposit, minLeaseMonths, furnished, availableFrom, petsPolicy; empty values clear them
+ * @returns {Object} { error } or { values }
+ */
+const parseRentalFields = (body) => {
+  const read = (field) => (Array.isArray(body[field]) ? body[field][0] : body[field]);
+  const isEmpty = (value) => value === '' || value === null;
+  const values = {};
+
+  for (const field of ['pricePerMonth', 'deposit', 'minLeaseMonths']) {
+    const value = read(field);
+    if (value === undefined) continue;
+    if (isEmpty(value)) {
+      values[field] = null;
+    } else if (!Number.isFinite(Number(value)) || Number(value) < 0) {
+      return { error: `${field} must be a non-negative number` };
+    } else {
+      values[field] = Number(value);
+    }
+  }
+
+  const furnished = read('furnished');
+  if (furnished !== undefined) {
+    values.furnished = isEmpty(furnished) ? null : furnished === 'true' || furnished === true;
+  }
+
+  const availableFrom = read('availableFrom');
+  if (availableFrom !== undefined) {
+    values.availableFrom = isEmpty(availableFrom) ? null : new Date(availableFrom);
+    if (values.availableFrom && isNaN(values.availableFrom.getTime())) {
+      return { error: 'Invalid availableFrom date' };
+    }
+  }
+
+  const petsPolicy = read('petsPolicy');
+  if (petsPolicy !== undefined) {
+    values.petsPolicy = isEmpty(petsPolicy) ? null : petsPolicy;
+  }
+
+  return { values };
+};
+
+/**
+ * Read the amenities and building attributes from the admin form
+ * amenities (JSON array or comma separated keys), floor, totalFloors, yearBuilt, condition
+ * @returns {Object} { error } or { values } (amenity keys not checked against the taxonomy yet)
+ */
+const parseAttributeFields = (body) => {
+  const read = (field) => (Array.isArray(body[field]) ? body[field][0] : body[field]);
+  const isEmpty = (value) => value === '' || value === null;
+  const values = {};
+
+  const amenities = read('amenities');
+  if (amenities !== undefined) {
+    let keys = amenities;
+    if (typeof keys === 'string') {
+      try {
+        keys = keys.trim().startsWith('[') ? JSON.parse(keys) : keys.split(',');
+      } catch (e) {
+        return { error: 'amenities must be a JSON array of amenity keys' };
+      }
+    }
+    values.amenities = (Array.isArray(keys) ? keys : []).map(key => String(key).trim()).filter(Boolean);
+  }
+
+  for (const field of ['floor', 'totalFloors', 'yearBuilt']) {
+    const value = read(field);
+    if (value === undefined) continue;
+    if (isEmpty(value)) {
+      values[field] = null;
+    } else if (!Number.isInteger(Number(value))) {
+      return { error: `${field} must be a whole number` };
+    } else {
+      values[field] = Number(value);
+    }
+  }
+
+  if (values.floor != null && values.totalFloors != null && values.floor > values.totalFloors) {
+    return { error: 'floor cannot be higher than totalFloors' };
+  }
+  if (values.yearBuilt != null && (values.yearBuilt < 1800 || values.yearBuilt > new Date().getFullYear() + 10)) {
+    return { error: 'Invalid yearBuilt' };
+  }
+
+  const condition = read('condition');
+  if (condition !== undefined) {
+    values.condition = isEmpty(condition) ? null : condition;
+    if (values.condition && !Project.CONDITIONS.includes(values.condition)) {
+      return { error: `Invalid condition. Must be: ${Project.CONDITIONS.join(', ')}` };
+    }
+  }
+
+  return { values };
+};
+
+/**
+ * Localized listing item returned by GET /api/projects (and /:id/similar)
+ * @param {Object} options - { amenities (amenityService.getAmenities), rates + displayCurrency (optional) }
+ */
+const formatListingItem = (project, lang, { amenities, rates = null, displayCurrency = null }) => ({
+  id: project._id,
+  title: project.translations[lang].title,
+  location: project.translations[lang].location,
+  shortDesc: project.translations[lang].shortDesc,
+  price: project.price,
+  currency: project.currency,
+  formattedPrice: project.formattedPrice,
+  displayPrice: rates ? currencyService.getDisplayPrice(project, displayCurrency, lang, rates) : undefined,
+  priceReduced: project.priceReduced,
+  previousPrice: project.previousPrice,
+  pricePerMonth: project.pricePerMonth,
+  deposit: project.deposit,
+  minLeaseMonths: project.minLeaseMonths,
+  furnished: project.furnished,
+  availableFrom: project.availableFrom,
+  petsPolicy: project.petsPolicy,
+  amenities: amenityService.localize(project.amenities, lang, amenities),
+  floor: project.floor,
+  totalFloors: project.totalFloors,
+  yearBuilt: project.yearBuilt,
+  condition: project.condition,
+  bedrooms: project.bedrooms,
+  bathrooms: project.bathrooms,
+  area: project.area,
+  areaUnit: project.areaUnit,
+  areaSqm: project.areaSqm,
+  city: project.city,
+  neighborhood: project.neighborhood,
+  coordinates: project.geo?.coordinates || null,
+  type: project.type,
+  status: project.status,
+  featured: project.featured,
+  badge: project.badge,
+  mainImage: project.mainImage,
+  images: project.images,
+  imageCount: project.imageCount,
+  inquiryCount: project.inquiryCount,
+  viewCount: project.viewCount,
+  publishAt: project.publishAt,
+  expiresAt: project.expiresAt,
+  publishedAt: project.publishedAt,
+  soldAt: project.soldAt,
+  createdAt: project.createdAt
+});
+
 // ==========================================
 // 🔧 MULTER CONFIGURATION (WITH VALIDATION)
 // ==========================================
@@ -89,7 +344,7 @@ const handleMulterError = (err, req, res, next) => {
 // ==========================================
 // 1️⃣ CREATE PROJECT (POST)
 // ==========================================
-router.post('/', projectUpload, handleMulterError, async (req, res) => {
+router.post('/', protect, authorize('admin', 'superadmin'), projectUpload, handleMulterError, async (req, res) => {
   const uploadedUrls = []; // ✅ IMPROVEMENT #1: Track for rollback
 
   try {
@@ -119,12 +374,12 @@ router.post('/', projectUpload, handleMulterError, async (req, res) => {
         const value = Array.isArray(req.body[field]) ? req.body[field][0] : req.body[field];
 
         if (field === 'currency' || field === 'type' || field === 'status' || field === 'areaUnit') {
-          updates[field] = value || (field === 'currency' ? 'ILS' : field === 'type' ? 'forSale' : field === 'status' ? 'active' : 'sqm');
+          projectData[field] = value || (field === 'currency' ? 'ILS' : field === 'type' ? 'forSale' : field === 'status' ? 'active' : 'sqm');
         } else if (field === 'price') {
-          updates[field] = value && Number(value) > 0 ? Number(value) : null;
+          projectData[field] = value && Number(value) > 0 ? Number(value) : null;
         } else {
           // ✅ FIX: Save 'badge' and any other text fields directly
-          updates[field] = value;
+          projectData[field] = value;
         }
       }
     });
@@ -134,6 +389,49 @@ router.post('/', projectUpload, handleMulterError, async (req, res) => {
       projectData.featured = featured === 'true' || featured === true;
     }
 
+    // Map position and structured location (city / neighborhood)
+    const geoFields = parseGeoFields(req.body);
+    if (geoFields.error) {
+      return res.status(400).json({ error: geoFields.error });
+    }
+    Object.assign(projectData, geoFields.values);
+
+    // Scheduling / sale + consistent type, status and badge
+    const lifecycleFields = parseLifecycleFields(req.body);
+    if (lifecycleFields.error) {
+      return res.status(400).json({ error: lifecycleFields.error });
+    }
+    const lifecycle = Project.resolveLifecycle({ ...projectData, ...lifecycleFields.values });
+    if (lifecycle.error) {
+      return res.status(400).json({ error: lifecycle.error });
+    }
+    Object.assign(projectData, lifecycle.fields);
+
+    // Monthly rent and lease terms (validated for rentals)
+    const rentalFields = parseRentalFields(req.body);
+    if (rentalFields.error) {
+      return res.status(400).json({ error: rentalFields.error });
+    }
+    Object.assign(projectData, rentalFields.values);
+    const rental = Project.validateRental(projectData);
+    if (rental.error) {
+      return res.status(400).json({ error: rental.error });
+    }
+
+    // Amenities (taxonomy keys) and building attributes
+    const attributeFields = parseAttributeFields(req.body);
+    if (attributeFields.error) {
+      return res.status(400).json({ error: attributeFields.error });
+    }
+    if (attributeFields.values.amenities) {
+      const amenities = await amenityService.validateKeys(attributeFields.values.amenities);
+      if (amenities.error) {
+        return res.status(400).json({ error: amenities.error });
+      }
+      attributeFields.values.amenities = amenities.keys;
+    }
+    Object.assign(projectData, attributeFields.values);
+
     // B. Upload Main Image
     if (req.files && req.files['mainImageFile']) {
       const file = req.files['mainImageFile'][0];
@@ -169,6 +467,16 @@ router.post('/', projectUpload, handleMulterError, async (req, res) => {
     const newProject = new Project(projectData);
     await newProject.save();
 
+    // First entry of the price history
+    if (newProject.price !== null) {
+      await PriceChange.create({
+        project: newProject._id,
+        newPrice: newProject.price,
+        currency: newProject.currency,
+        changedBy: req.admin._id
+      });
+    }
+
     console.log(`✅ Project Created: ${newProject._id}`);
     res.status(201).json({ success: true, data: newProject });
 
@@ -187,7 +495,7 @@ router.post('/', projectUpload, handleMulterError, async (req, res) => {
 // ==========================================
 // 2️⃣ UPDATE PROJECT (PUT)
 // ==========================================
-router.put('/:id', projectUpload, handleMulterError, async (req, res) => {
+router.put('/:id', protect, authorize('admin', 'superadmin'), projectUpload, handleMulterError, async (req, res) => {
   const uploadedUrls = []; // Track new uploads for rollback
 
   try {
@@ -237,6 +545,66 @@ router.put('/:id', projectUpload, handleMulterError, async (req, res) => {
       updates.featured = featured === 'true' || featured === true;
     }
 
+    // Map position and structured location (city / neighborhood)
+    const geoFields = parseGeoFields(req.body);
+    if (geoFields.error) {
+      return res.status(400).json({ error: geoFields.error });
+    }
+    Object.assign(updates, geoFields.values);
+    if (geoFields.clearGeo) {
+      updates.$unset = { geo: 1 };
+    }
+
+    // Scheduling / sale + consistent type, status and badge
+    const lifecycleFields = parseLifecycleFields(req.body);
+    if (lifecycleFields.error) {
+      return res.status(400).json({ error: lifecycleFields.error });
+    }
+    const { $unset, ...changes } = updates;
+    const lifecycle = Project.resolveLifecycle({ ...changes, ...lifecycleFields.values }, project);
+    if (lifecycle.error) {
+      return res.status(400).json({ error: lifecycle.error });
+    }
+    Object.assign(updates, lifecycle.fields);
+
+    // Monthly rent and lease terms (validated for rentals)
+    const rentalFields = parseRentalFields(req.body);
+    if (rentalFields.error) {
+      return res.status(400).json({ error: rentalFields.error });
+    }
+    Object.assign(updates, rentalFields.values);
+    const rental = Project.validateRental(updates, project);
+    if (rental.error) {
+      return res.status(400).json({ error: rental.error });
+    }
+
+    // Amenities (taxonomy keys) and building attributes
+    const attributeFields = parseAttributeFields(req.body);
+    if (attributeFields.error) {
+      return res.status(400).json({ error: attributeFields.error });
+    }
+    if (attributeFields.values.amenities) {
+      const amenities = await amenityService.validateKeys(attributeFields.values.amenities, project.amenities);
+      if (amenities.error) {
+        return res.status(400).json({ error: amenities.error });
+      }
+      attributeFields.values.amenities = amenities.keys;
+    }
+    Object.assign(updates, attributeFields.values);
+
+    // Price history + automatic "price reduced" flag/badge
+    let priceUpdate = null;
+    if (updates.price !== undefined || updates.currency !== undefined) {
+      priceUpdate = project.getPriceUpdate(
+        updates.price !== undefined ? updates.price : project.price,
+        updates.currency,
+        updates.badge !== undefined ? updates.badge : project.badge
+      );
+      if (priceUpdate) {
+        Object.assign(updates, priceUpdate.fields);
+      }
+    }
+
     // B. Handle Main Image Replacement
     let oldMainImage = null;
     if (req.files && req.files['mainImageFile']) {
@@ -298,6 +666,14 @@ router.put('/:id', projectUpload, handleMulterError, async (req, res) => {
     // D. Update MongoDB
     const updatedProject = await Project.findByIdAndUpdate(req.params.id, updates, { new: true });
 
+    if (priceUpdate) {
+      await PriceChange.create({
+        project: updatedProject._id,
+        ...priceUpdate.change,
+        changedBy: req.admin._id
+      });
+    }
+
     // E. Async cleanup of old images (don't wait)
     // ✅ IMPROVEMENT #5: Async delete for faster response
     if (oldMainImage) {
@@ -375,12 +751,20 @@ router.delete('/:id', async (req, res) => {
 // 4️⃣ GET ROUTES
 // ==========================================
 
-router.get('/', async (req, res) => {
+/**
+ * @route   GET /api/projects
+ * @desc    Public listing (scheduled, expired and deleted listings are hidden)
+ * @query   lang, page, limit, listing filters and sort (newest, price_asc, ..., interest, popular)
+ * @query   amenities - Comma separated keys, all required (e.g. parking,elevator); condition
+ * @query   type=forRent only: minRent, maxRent, leaseMonths, furnished, petsPolicy,
+ *          availableBy (YYYY-MM-DD); sort rent_asc / rent_desc
+ * @query   status - Admins only: active, draft, scheduled, expired, sold or all
+ * @access  Public (status filter: Private/Admin)
+ */
+router.get('/', optionalAuth, async (req, res) => {
   try {
     let {
       lang = 'en',
-      type = 'all',
-      featured,
       limit,
       page = 1
     } = req.query;
@@ -393,22 +777,29 @@ router.get('/', async (req, res) => {
       });
     }
 
-    let query = { status: { $ne: 'deleted' } };
+    // Filters: type, featured, price range + currency, bedrooms/bathrooms,
+    // area range (areaUnit), badge; sort: newest, price_asc, area_desc, interest, ...
+    // displayCurrency: converted prices (and price range given in that currency)
+    const rates = req.query.displayCurrency ? await currencyService.getRates() : null;
+    const { error, filters, sort } = Project.parseListingFilters(req.query, rates);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    if (type && type !== 'all') {
-      if (!['forSale', 'forRent', 'sold'].includes(type)) {
+    // Admin dashboard: listings that aren't public yet / anymore
+    if (req.query.status && req.admin) {
+      if (!['active', 'draft', 'scheduled', 'expired', 'sold', 'all'].includes(req.query.status)) {
         return res.status(400).json({
-          error: 'Invalid type. Must be: forSale, forRent, sold, or all'
+          error: 'Invalid status. Must be: active, draft, scheduled, expired, sold, or all'
         });
       }
-      query.type = type;
+      filters.status = req.query.status;
     }
 
-    if (featured === 'true') {
-      query.featured = true;
-    }
+    const query = Project.buildListingQuery(filters);
+    const sortOrder = Project.LISTING_SORTS[sort];
 
-    let projectsQuery = Project.find(query).sort({ createdAt: -1 });
+    let projectsQuery = Project.find(query).sort(sortOrder);
 
     if (limit) {
       const limitNum = parseInt(limit);
@@ -419,28 +810,12 @@ router.get('/', async (req, res) => {
 
     const projects = await projectsQuery;
     const totalCount = await Project.countDocuments(query);
+    const amenities = await amenityService.getAmenities();
 
-    const formattedProjects = projects.map(project => ({
-      id: project._id,
-      title: project.translations[lang].title,
-      location: project.translations[lang].location,
-      shortDesc: project.translations[lang].shortDesc,
-      price: project.price,
-      currency: project.currency,
-      formattedPrice: project.formattedPrice,
-      pricePerMonth: project.pricePerMonth,
-      bedrooms: project.bedrooms,
-      bathrooms: project.bathrooms,
-      area: project.area,
-      areaUnit: project.areaUnit,
-      type: project.type,
-      status: project.status,
-      featured: project.featured,
-      badge: project.badge,
-      mainImage: project.mainImage,
-      images: project.images,
-      imageCount: project.imageCount,
-      createdAt: project.createdAt
+    const formattedProjects = projects.map(project => formatListingItem(project, lang, {
+      amenities,
+      rates,
+      displayCurrency: filters.displayCurrency
     }));
 
     const response = {
@@ -464,7 +839,170 @@ router.get('/', async (req, res) => {
   }
 });
 
-router.get('/:id', async (req, res) => {
+/**
+ * @route   GET /api/projects/geo
+ * @desc    Listings for the map: within a radius (sorted by distance) or a bounding box
+ * @query   lat, lng, radius - Center and radius in km (default 5, max 100)
+ * @query   bbox - minLng,minLat,maxLng,maxLat (instead of lat/lng)
+ * @query   lang, page, limit (default 100, max 500) and the listing filters
+ * @access  Public
+ */
+router.get('/geo', async (req, res) => {
+  try {
+    let { lang = 'en', lat, lng, radius = 5, bbox, page = 1, limit = 100 } = req.query;
+
+    lang = lang.split('-')[0].toLowerCase();
+    if (!['en', 'ar', 'he'].includes(lang)) {
+      return res.status(400).json({
+        error: 'Invalid language. Must be: en, ar, or he'
+      });
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    if (!(pageNum >= 1) || !(limitNum >= 1 && limitNum <= 500)) {
+      return res.status(400).json({
+        error: 'Invalid pagination. page must be >= 1 and limit between 1 and 500'
+      });
+    }
+
+    let area;
+    if (bbox) {
+      const box = String(bbox).split(',').map(Number);
+      const [minLng, minLat, maxLng, maxLat] = box;
+      if (box.length !== 4 || box.some(value => !Number.isFinite(value)) ||
+          minLng < -180 || maxLng > 180 || minLat < -90 || maxLat > 90 ||
+          minLng >= maxLng || minLat >= maxLat) {
+        return res.status(400).json({
+          error: 'Invalid bbox. Must be: minLng,minLat,maxLng,maxLat'
+        });
+      }
+      area = { box };
+    } else if (lat !== undefined && lng !== undefined) {
+      const center = [Number(lng), Number(lat)];
+      const radiusKm = Number(radius);
+      if (!center.every(Number.isFinite) || Math.abs(center[0]) > 180 || Math.abs(center[1]) > 90) {
+        return res.status(400).json({ error: 'Invalid lat/lng' });
+      }
+      if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > 100) {
+        return res.status(400).json({ error: 'Invalid radius. Must be between 0 and 100 km' });
+      }
+      area = { center, radiusKm };
+    } else {
+      return res.status(400).json({
+        error: 'Provide lat & lng (with optional radius) or bbox'
+      });
+    }
+
+    const rates = req.query.displayCurrency ? await currencyService.getRates() : null;
+    const { error, filters } = Project.parseListingFilters(req.query, rates);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { projects, total } = await Project.findInArea(area, {
+      page: pageNum,
+      limit: limitNum,
+      filters
+    });
+
+    res.json({
+      projects: projects.map(project => ({
+        id: project._id,
+        title: project.translations[lang].title,
+        location: project.translations[lang].location,
+        city: project.city,
+        neighborhood: project.neighborhood,
+        coordinates: project.geo.coordinates,
+        distanceKm: project.$locals.distanceKm ?? null,
+        price: project.price,
+        currency: project.currency,
+        formattedPrice: project.formattedPrice,
+        displayPrice: rates ? currencyService.getDisplayPrice(project, filters.displayCurrency, lang, rates) : undefined,
+        priceReduced: project.priceReduced,
+        previousPrice: project.previousPrice,
+        bedrooms: project.bedrooms,
+        type: project.type,
+        badge: project.badge,
+        mainImage: project.mainImage
+      })),
+      pagination: {
+        total,
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error searching projects by area:', error);
+    res.status(500).json({
+      error: 'Failed to search projects by area',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/projects/admin/popular
+ * @desc    Most viewed and most inquired listings over a period
+ * @query   from, to - YYYY-MM-DD (default: last 30 days)
+ * @query   limit - 1 to 50 (default: 10)
+ * @query   lang - Language of the titles (default: en)
+ * @access  Private/Admin
+ */
+router.get('/admin/popular', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const lang = ['en', 'ar', 'he'].includes(req.query.lang) ? req.query.lang : 'en';
+    const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+      return res.status(400).json({ success: false, error: 'limit must be between 1 and 50' });
+    }
+
+    const until = req.query.to ? new Date(req.query.to) : new Date();
+    const since = req.query.from ? new Date(req.query.from) : new Date(until.getTime() - 29 * 24 * 60 * 60 * 1000);
+    if (isNaN(since.getTime()) || isNaN(until.getTime()) || since > until) {
+      return res.status(400).json({ success: false, error: 'Invalid period. Use from <= to (YYYY-MM-DD)' });
+    }
+    // Include the whole last day
+    until.setUTCHours(23, 59, 59, 999);
+
+    const { mostViewed, mostInquired } = await projectViewService.getTopProjects({ since, until, limit });
+
+    const format = ({ project, views, leads }) => ({
+      id: project._id,
+      title: project.translations[lang].title,
+      type: project.type,
+      status: project.status,
+      formattedPrice: project.formattedPrice,
+      mainImage: project.mainImage,
+      views,
+      leads,
+      // Leads per 100 views in the period
+      conversionRate: views > 0 ? Math.round((leads / views) * 10000) / 100 : null,
+      totalViews: project.viewCount,
+      totalLeads: project.inquiryCount
+    });
+
+    res.json({
+      success: true,
+      period: { from: ProjectView.toDay(since), to: ProjectView.toDay(until) },
+      data: {
+        mostViewed: mostViewed.map(format),
+        mostInquired: mostInquired.map(format)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching popular projects:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch popular projects'
+    });
+  }
+});
+
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const { lang = 'en', includeAllTranslations } = req.query;
 
@@ -478,14 +1016,22 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    // Optional converted prices
+    const displayCurrency = req.query.displayCurrency ? String(req.query.displayCurrency).toUpperCase() : null;
+    if (displayCurrency && !currencyService.getCurrencies().includes(displayCurrency)) {
+      return res.status(400).json({
+        error: 'Invalid displayCurrency. Must be: ILS, USD, or EUR'
+      });
+    }
+
     const project = await Project.findById(req.params.id);
 
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    // Check if project is deleted
-    if (project.status === 'deleted') {
+    // Deleted, or not published yet / expired (admins can preview those)
+    if (isHiddenFrom(project, req)) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
@@ -497,11 +1043,26 @@ router.get('/:id', async (req, res) => {
         price: project.price,
         currency: project.currency,
         formattedPrice: project.formattedPrice,
+        priceReduced: project.priceReduced,
+        previousPrice: project.previousPrice,
         pricePerMonth: project.pricePerMonth,
+        deposit: project.deposit,
+        minLeaseMonths: project.minLeaseMonths,
+        furnished: project.furnished,
+        availableFrom: project.availableFrom,
+        petsPolicy: project.petsPolicy,
+        amenities: project.amenities,
+        floor: project.floor,
+        totalFloors: project.totalFloors,
+        yearBuilt: project.yearBuilt,
+        condition: project.condition,
         bedrooms: project.bedrooms,
         bathrooms: project.bathrooms,
         area: project.area,
         areaUnit: project.areaUnit,
+        city: project.city,
+        neighborhood: project.neighborhood,
+        coordinates: project.geo?.coordinates || null,
         type: project.type,
         status: project.status,
         featured: project.featured,
@@ -509,6 +1070,13 @@ router.get('/:id', async (req, res) => {
         images: project.images,
         mainImage: project.mainImage,
         imageCount: project.imageCount,
+        publishAt: project.publishAt,
+        expiresAt: project.expiresAt,
+        publishedAt: project.publishedAt,
+        expiredAt: project.expiredAt,
+        soldAt: project.soldAt,
+        salePrice: project.salePrice,
+        saleCurrency: project.saleCurrency,
         createdAt: project.createdAt,
         updatedAt: project.updatedAt
       };
@@ -526,11 +1094,29 @@ router.get('/:id', async (req, res) => {
       price: project.price,
       currency: project.currency,
       formattedPrice: project.formattedPrice,
+      displayPrice: displayCurrency
+        ? currencyService.getDisplayPrice(project, displayCurrency, normalizedLang, await currencyService.getRates())
+        : undefined,
+      priceReduced: project.priceReduced,
+      previousPrice: project.previousPrice,
       pricePerMonth: project.pricePerMonth,
+      deposit: project.deposit,
+      minLeaseMonths: project.minLeaseMonths,
+      furnished: project.furnished,
+      availableFrom: project.availableFrom,
+      petsPolicy: project.petsPolicy,
+      amenities: amenityService.localize(project.amenities, normalizedLang, await amenityService.getAmenities()),
+      floor: project.floor,
+      totalFloors: project.totalFloors,
+      yearBuilt: project.yearBuilt,
+      condition: project.condition,
       bedrooms: project.bedrooms,
       bathrooms: project.bathrooms,
       area: project.area,
       areaUnit: project.areaUnit,
+      city: project.city,
+      neighborhood: project.neighborhood,
+      coordinates: project.geo?.coordinates || null,
       type: project.type,
       status: project.status,
       featured: project.featured,
@@ -538,6 +1124,8 @@ router.get('/:id', async (req, res) => {
       images: project.images,
       mainImage: project.mainImage,
       imageCount: project.imageCount,
+      publishedAt: project.publishedAt,
+      soldAt: project.soldAt,
       createdAt: project.createdAt,
       updatedAt: project.updatedAt
     };
@@ -558,16 +1146,295 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/projects/:id/views
+ * @desc    Count a listing view (once per visitor per day, bots ignored)
+ * @body    visitorId - Optional random id kept by the browser (with IP + user agent, capped per IP)
+ * @access  Public (scheduled / expired listings: Admin)
+ */
+router.post('/:id/views', optionalAuth, async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id).select('status');
+    if (!project || isHiddenFrom(project, req)) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    // Admin previews of a listing that isn't public aren't visitor views
+    if (Project.HIDDEN_STATUSES.includes(project.status)) {
+      return res.json({ counted: false });
+    }
+
+    const visitorId = typeof req.body?.visitorId === 'string' ? req.body.visitorId.slice(0, 100) : null;
+    const counted = await projectViewService.recordView(project._id, {
+      visitorId,
+      ipAddress: spamService.getClientIp(req),
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({ counted });
+
+  } catch (error) {
+    console.error('Error recording project view:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.status(500).json({ error: 'Failed to record view' });
+  }
+});
+
+/**
+ * @route   GET /api/projects/:id/views
+ * @desc    Daily unique views of a project
+ * @query   from, to - YYYY-MM-DD (default: last 30 days)
+ * @access  Private/Admin
+ */
+router.get('/:id/views', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id).select('viewCount inquiryCount popularityScore');
+    if (!project) {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    const until = req.query.to ? new Date(req.query.to) : new Date();
+    const since = req.query.from ? new Date(req.query.from) : new Date(until.getTime() - 29 * 24 * 60 * 60 * 1000);
+    if (isNaN(since.getTime()) || isNaN(until.getTime()) || since > until) {
+      return res.status(400).json({ success: false, error: 'Invalid period. Use from <= to (YYYY-MM-DD)' });
+    }
+
+    const daily = await ProjectView.getDaily(project._id, since, until);
+
+    res.json({
+      success: true,
+      period: { from: ProjectView.toDay(since), to: ProjectView.toDay(until) },
+      total: {
+        views: project.viewCount,
+        leads: project.inquiryCount,
+        popularityScore: project.popularityScore
+      },
+      count: daily.length,
+      data: daily
+    });
+
+  } catch (error) {
+    console.error('Error fetching project views:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch project views'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/projects/:id/similar
+ * @desc    Active listings similar to a project (type, price, bedrooms, area, location)
+ * @query   lang - en, ar, he (default: en)
+ * @query   limit - 1 to 20 (default: 6)
+ * @query   displayCurrency - Converted prices (ILS, USD, EUR)
+ * @access  Public (scheduled / expired listings: Admin)
+ */
+router.get('/:id/similar', optionalAuth, async (req, res) => {
+  try {
+    const lang = String(req.query.lang || 'en').split('-')[0].toLowerCase();
+    if (!['en', 'ar', 'he'].includes(lang)) {
+      return res.status(400).json({
+        error: 'Invalid language. Must be: en, ar, or he'
+      });
+    }
+
+    const limit = req.query.limit === undefined ? 6 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 20) {
+      return res.status(400).json({ error: 'limit must be between 1 and 20' });
+    }
+
+    const displayCurrency = req.query.displayCurrency ? String(req.query.displayCurrency).toUpperCase() : null;
+    if (displayCurrency && !currencyService.getCurrencies().includes(displayCurrency)) {
+      return res.status(400).json({
+        error: 'Invalid displayCurrency. Must be: ILS, USD, or EUR'
+      });
+    }
+
+    const project = await Project.findById(req.params.id).select('+searchIndex.location');
+    if (!project || isHiddenFrom(project, req)) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const [similar, amenities, rates] = await Promise.all([
+      similarProjectsService.findSimilar(project, { limit }),
+      amenityService.getAmenities(),
+      displayCurrency ? currencyService.getRates() : null
+    ]);
+
+    res.json({
+      projects: similar.map(({ project: item, similarity }) => ({
+        ...formatListingItem(item, lang, { amenities, rates, displayCurrency }),
+        similarity
+      })),
+      count: similar.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching similar projects:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.status(500).json({
+      error: 'Failed to fetch similar projects',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/projects/:id/leads
+ * @desc    Leads submitted from this property (agents only see their own leads)
+ * @access  Private/Admin
+ */
+router.get('/:id/leads', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id).select('_id inquiryCount');
+
+    if (!project) {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    const query = { project: project._id, isSpam: false };
+    if (req.admin.role !== 'superadmin') {
+      query.assignedTo = req.admin.workerProfile?._id || req.admin._id;
+    }
+
+    const leads = await Lead.find(query)
+      .populate('assignedTo', 'translations.en.name translations.ar.name translations.he.name role email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: leads.length,
+      inquiryCount: project.inquiryCount,
+      data: leads
+    });
+
+  } catch (error) {
+    console.error('Error fetching project leads:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch project leads'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/projects/:id/price-history
+ * @desc    Price changes of a project (newest first) with the admin who made them
+ * @access  Private/Admin
+ */
+router.get('/:id/price-history', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id)
+      .select('price currency priceReduced previousPrice priceReducedAt');
+
+    if (!project) {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    const history = await PriceChange.getHistory(project._id);
+
+    res.json({
+      success: true,
+      count: history.length,
+      current: {
+        price: project.price,
+        currency: project.currency,
+        priceReduced: project.priceReduced,
+        previousPrice: project.previousPrice,
+        priceReducedAt: project.priceReducedAt
+      },
+      data: history
+    });
+
+  } catch (error) {
+    console.error('Error fetching price history:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch price history'
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/projects/:id/sold
+ * @desc    Mark a listing as sold (type, status and badge become 'sold')
+ * @body    salePrice - default: listing price, saleCurrency - default: listing currency,
+ *          soldAt - ISO date (default: now)
+ * @access  Private/Admin
+ */
+router.patch('/:id/sold', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+
+    if (!project || project.status === 'deleted') {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    const { error, values } = parseLifecycleFields({
+      salePrice: req.body.salePrice,
+      saleCurrency: req.body.saleCurrency,
+      soldAt: req.body.soldAt
+    });
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const { fields } = Project.resolveLifecycle({ ...values, status: 'sold' }, project);
+    const updatedProject = await Project.findByIdAndUpdate(project._id, fields, { new: true });
+
+    console.log(`🏷️ Project Sold: ${updatedProject._id}`);
+    res.json({ success: true, data: updatedProject });
+
+  } catch (error) {
+    console.error('Error marking project as sold:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark project as sold'
+    });
+  }
+});
+
 /**
  * @route   GET /api/projects/search/:query
- * @desc    Search projects by title or location
- * @query   lang - Language (en, ar, he) - default: en
+ * @desc    Full-text search in all languages (title, location, descriptions, features)
+ * @query   lang - Language of the returned fields (en, ar, he) - default: en
+ * @query   page, limit - Pagination (default: 1, 12; max limit 50)
+ * @query   Listing filters - type, minPrice, maxPrice, currency, minBedrooms, ...
  * @access  Public
  */
 router.get('/search/:query', async (req, res) => {
   try {
     const { query } = req.params;
-    let { lang = 'en' } = req.query; // ✅ IMPROVEMENT #4: Fixed - Changed const to let
+    let { lang = 'en', page = 1, limit = 12 } = req.query; // ✅ IMPROVEMENT #4: Fixed - Changed const to let
 
     // Normalize language code
     lang = lang.split('-')[0].toLowerCase();
@@ -579,14 +1446,27 @@ router.get('/search/:query', async (req, res) => {
       });
     }
 
-    // Search in title and location
-    const projects = await Project.find({
-      status: { $ne: 'deleted' },
-      $or: [
-        { [`translations.${lang}.title`]: { $regex: query, $options: 'i' } },
-        { [`translations.${lang}.location`]: { $regex: query, $options: 'i' } }
-      ]
-    }).sort({ createdAt: -1 });
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    if (!(pageNum >= 1) || !(limitNum >= 1 && limitNum <= 50)) {
+      return res.status(400).json({
+        error: 'Invalid pagination. page must be >= 1 and limit between 1 and 50'
+      });
+    }
+
+    // Same optional filters as the listing (type, price, rooms, area, ...)
+    const rates = req.query.displayCurrency ? await currencyService.getRates() : null;
+    const { error, filters } = Project.parseListingFilters(req.query, rates);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Searches all languages (title, location, descriptions, features) by relevance
+    const { projects, total, mode } = await Project.search(query, {
+      page: pageNum,
+      limit: limitNum,
+      filters
+    });
 
     // Format results
     const formattedProjects = projects.map(project => ({
@@ -595,15 +1475,28 @@ router.get('/search/:query', async (req, res) => {
       location: project.translations[lang].location,
       shortDesc: project.translations[lang].shortDesc,
       price: project.price,
+      currency: project.currency,
+      formattedPrice: project.formattedPrice,
+      displayPrice: rates ? currencyService.getDisplayPrice(project, filters.displayCurrency, lang, rates) : undefined,
+      priceReduced: project.priceReduced,
+      previousPrice: project.previousPrice,
       mainImage: project.mainImage,
       type: project.type,
-      featured: project.featured
+      featured: project.featured,
+      score: project.get('score') ?? null
     }));
 
     res.json({
       results: formattedProjects,
       count: formattedProjects.length,
-      query: query
+      query: query,
+      mode,
+      pagination: {
+        total,
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum)
+      }
     });
 
   } catch (error) {
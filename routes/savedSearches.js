@@ -0,0 +1,292 @@
+// backend/routes/savedSearches.js
+const express = require('express');
+const router = express.Router();
+const SavedSearch = require('../models/SavedSearch');
+const Project = require('../models/Project');
+const savedSearchService = require('../services/savedSearchService');
+const currencyService = require('../services/currencyService');
+const spamService = require('../services/spamService');
+const { protect, authorize } = require('../middleware/auth');
+
+// ==================== HELPERS ====================
+
+/**
+ * Answer an email link: redirect to the website if configured, JSON otherwise
+ */
+const respondToLink = (res, result, message, statusCode = 200) => {
+  const landingUrl = savedSearchService.getLandingUrl(result);
+  if (landingUrl) {
+    return res.redirect(landingUrl);
+  }
+  res.status(statusCode).json({
+    success: statusCode < 400,
+    ...(statusCode < 400 ? { message } : { error: message })
+  });
+};
+
+// ==================== PUBLIC ROUTES ====================
+
+/**
+ * @route   POST /api/saved-searches
+ * @desc    Save a search and get email alerts (confirmation email sent first)
+ * @body    email, lang, type (forSale | forRent), minPrice, maxPrice, currency,
+ *          minBedrooms, maxBedrooms, minBathrooms, maxBathrooms,
+ *          minArea, maxArea, areaUnit, city, neighborhood,
+ *          displayCurrency (price range given in that currency, saved in ILS)
+ * @access  Public
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { email, lang = 'en' } = req.body;
+    const successMessage = 'Please check your email to confirm your alert.';
+
+    // Honeypot: bots fill the hidden field, pretend it worked and drop it
+    if (spamService.isHoneypotTriggered(req.body)) {
+      return res.status(201).json({ success: true, message: successMessage });
+    }
+
+    if (!email || !/^\S+@\S+\.\S+$/.test(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid email is required'
+      });
+    }
+
+    if (req.body.type === 'sold') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid type. Must be: forSale or forRent'
+      });
+    }
+
+    // Same validation as the listing filters (numbers as strings are fine)
+    const params = Object.entries(req.body).reduce((acc, [key, value]) => {
+      if (value !== null && value !== undefined) acc[key] = String(value);
+      return acc;
+    }, {});
+    // A price range in displayCurrency is converted to the base currency (saved as such)
+    const rates = params.displayCurrency ? await currencyService.getRates() : null;
+    const { error, filters } = Project.parseListingFilters(params, rates);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    // Every saved search sends a confirmation email: limit them per IP and per email
+    const ipAddress = spamService.getClientIp(req);
+    const rateLimit = await spamService.checkRateLimit({ ipAddress, email }, SavedSearch);
+    if (rateLimit.limited) {
+      res.set('Retry-After', String(rateLimit.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many submissions. Please try again later.'
+      });
+    }
+
+    const language = String(lang).split('-')[0].toLowerCase();
+
+    const search = await savedSearchService.subscribe({
+      email,
+      language: ['en', 'ar', 'he'].includes(language) ? language : 'en',
+      criteria: savedSearchService.pickCriteria(filters),
+      ipAddress
+    });
+
+    res.status(201).json({
+      success: true,
+      message: successMessage,
+      data: {
+        id: search._id,
+        email: search.email,
+        criteria: search.getFilters(),
+        status: search.status
+      }
+    });
+  } catch (error) {
+    console.error('Error saving search:', error);
+    const statusCode = error.statusCode || (error.name === 'ValidationError' ? 400 : 500);
+    res.status(statusCode).json({
+      success: false,
+      error: statusCode === 500 ? 'Failed to save your search. Please try again.' : error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/saved-searches/confirm/:token
+ * @desc    Confirm a saved search (link in the confirmation email)
+ * @access  Public
+ */
+router.get('/confirm/:token', async (req, res) => {
+  try {
+    const search = await savedSearchService.confirm(req.params.token);
+
+    if (!search) {
+      return respondToLink(res, 'invalid', 'This confirmation link is invalid or has expired', 404);
+    }
+
+    respondToLink(res, 'confirmed', 'Your property alert is now active');
+  } catch (error) {
+    console.error('Error confirming saved search:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to confirm your alert'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/saved-searches/unsubscribe/:token
+ * @desc    Stop the alerts of a saved search (link in every alert email)
+ * @access  Public
+ */
+router.get('/unsubscribe/:token', async (req, res) => {
+  try {
+    const search = await savedSearchService.unsubscribe(req.params.token);
+
+    if (!search) {
+      return respondToLink(res, 'invalid', 'This unsubscribe link is invalid', 404);
+    }
+
+    respondToLink(res, 'unsubscribed', 'You will no longer receive this alert');
+  } catch (error) {
+    console.error('Error unsubscribing saved search:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unsubscribe'
+    });
+  }
+});
+
+// ==================== ADMIN ROUTES ====================
+
+/**
+ * @route   GET /api/saved-searches/admin
+ * @desc    List saved searches with counts per status
+ * @query   status - pending | active | unsubscribed | all (default: all)
+ * @query   email - Filter by email (exact)
+ * @query   page, limit - Pagination (default: 1, 50)
+ * @access  Private/Admin
+ */
+router.get('/admin', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const { status = 'all', email } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const query = {};
+    if (status !== 'all') {
+      if (!['pending', 'active', 'unsubscribed'].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid status. Must be: pending, active, unsubscribed, or all'
+        });
+      }
+      query.status = status;
+    }
+    if (email) query.email = String(email).trim().toLowerCase();
+
+    const [searches, total, byStatus] = await Promise.all([
+      SavedSearch.find(query)
+        .select('-confirmToken -unsubscribeToken')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      SavedSearch.countDocuments(query),
+      SavedSearch.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: searches.length,
+      stats: byStatus.reduce((acc, row) => {
+        acc[row._id] = row.count;
+        return acc;
+      }, { pending: 0, active: 0, unsubscribed: 0 }),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      },
+      data: searches
+    });
+  } catch (error) {
+    console.error('Error fetching saved searches:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch saved searches'
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/saved-searches/admin/:id/unsubscribe
+ * @desc    Stop the alerts of a saved search
+ * @access  Private/Admin
+ */
+router.patch('/admin/:id/unsubscribe', protect, authorize('admin', 'superadmin'), async (req, res) => {
+  try {
+    const search = await SavedSearch.findById(req.params.id);
+
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
+
+    search.status = 'unsubscribed';
+    await search.save();
+
+    // Same fields as the admin list: the link tokens stay private
+    const data = search.toObject();
+    delete data.confirmToken;
+    delete data.unsubscribeToken;
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error unsubscribing saved search:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unsubscribe saved search'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/saved-searches/admin/:id
+ * @desc    Delete a saved search
+ * @access  Private/Superadmin
+ */
+router.delete('/admin/:id', protect, authorize('superadmin'), async (req, res) => {
+  try {
+    const search = await SavedSearch.findByIdAndDelete(req.params.id);
+
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {},
+      message: 'Saved search deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete saved search'
+    });
+  }
+});
+
+module.exports = router;
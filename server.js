@@ -4,6 +4,9 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const connectSupabase = require('./config/supabase'); // Import the function
+const leadScheduler = require('./services/leadScheduler');
+const listingScheduler = require('./services/listingScheduler');
+const Project = require('./models/Project');
 
 // 1. Load Env
 dotenv.config();
@@ -16,8 +19,18 @@ console.log('PORT:', process.env.PORT || 5000);
 const app = express();
 
 // 3. Middleware
+// Proxies in front of the app (Railway: 1). req.ip is the address the last trusted proxy saw,
+// so a client-sent X-Forwarded-For can't spoof it.
+app.set('trust proxy', Number.isInteger(Number(process.env.TRUST_PROXY_HOPS)) ? Number(process.env.TRUST_PROXY_HOPS) : 1);
 app.use(cors({ origin: '*', credentials: true }));
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body for webhook signature verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/leads/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // 4. Routes
@@ -28,6 +41,10 @@ app.use('/api/admin', require('./routes/admin'));
 app.use('/api/team', require('./routes/team'));
 app.use('/api/leads', require('./routes/leads'));
 app.use('/api/courses', require('./routes/courses'));
+app.use('/api/appointments', require('./routes/appointments'));
+app.use('/api/saved-searches', require('./routes/savedSearches'));
+app.use('/api/currency-rates', require('./routes/currencyRates'));
+app.use('/api/amenities', require('./routes/amenities'));
 
 // 5. Health Check
 app.get('/api/health', (req, res) => {
@@ -53,6 +70,15 @@ const startServer = async () => {
     });
     console.log(`✅ MongoDB Connected: ${mongoose.connection.name}`);
 
+    // --- Background jobs (overdue tasks, lead SLA escalation, saved-search alerts) ---
+    leadScheduler.start();
+    listingScheduler.start();
+
+    // --- One-off data fixes (don't wait) ---
+    Project.backfillDerivedFields()
+      .then(count => count && console.log(`📐 Derived fields set on ${count} project(s)`))
+      .catch(err => console.error('Project backfill failed:', err.message));
+
     // --- Start Listening ---
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, '0.0.0.0', () => {  // <-- Added '0.0.0.0'
@@ -0,0 +1,91 @@
+// backend/services/amenityService.js
+const Amenity = require('../models/Amenity');
+
+// Amenities change rarely: cache them and reload after this long
+const CACHE_TTL_MS = 60 * 1000;
+
+class AmenityService {
+
+  constructor() {
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  // ==========================================
+  // 🛠️ HELPER FUNCTIONS (Internal Logic)
+  // ==========================================
+
+  /**
+   * Create the built-in amenities on first use
+   */
+  async _ensureDefaults() {
+    const count = await Amenity.countDocuments();
+    if (count > 0) return;
+
+    await Amenity.insertMany(Amenity.DEFAULT_AMENITIES, { ordered: false }).catch(error => {
+      // Another request may have seeded them at the same time
+      if (error.code !== 11000) throw error;
+    });
+    console.log('🧩 Default amenities created');
+  }
+
+  // ==========================================
+  // 🚀 MAIN PUBLIC FUNCTIONS
+  // ==========================================
+
+  /**
+   * All amenities (active and inactive) sorted by order
+   */
+  async getAmenities() {
+    if (this.cache && Date.now() - this.cachedAt < CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    await this._ensureDefaults();
+    this.cache = await Amenity.find().sort({ order: 1, createdAt: 1 }).lean();
+    this.cachedAt = Date.now();
+    return this.cache;
+  }
+
+  invalidate() {
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Check amenity keys for a listing (unknown / inactive keys are rejected)
+   * @param {string[]} keys
+   * @param {string[]} current - Keys already on the listing (kept even if deactivated since)
+   * @returns {Object} { error } or { keys } (deduplicated, in taxonomy order)
+   */
+  async validateKeys(keys, current = []) {
+    const amenities = await this.getAmenities();
+    const wanted = new Set(keys);
+    const allowed = amenities.filter(amenity => amenity.active || current.includes(amenity.key));
+
+    const unknown = [...wanted].filter(key => !allowed.some(amenity => amenity.key === key));
+    if (unknown.length > 0) {
+      return { error: `Unknown amenities: ${unknown.join(', ')}` };
+    }
+
+    return { keys: allowed.filter(amenity => wanted.has(amenity.key)).map(amenity => amenity.key) };
+  }
+
+  /**
+   * Amenity keys with their name in a language, e.g. [{ key: 'parking', name: 'חניה', icon }]
+   * @param {string[]} keys
+   * @param {Object[]} amenities - Result of getAmenities()
+   */
+  localize(keys, lang, amenities) {
+    return (keys || [])
+      .map(key => amenities.find(amenity => amenity.key === key))
+      .filter(Boolean)
+      .map(amenity => ({
+        key: amenity.key,
+        name: amenity.translations[lang]?.name || amenity.translations.en.name,
+        icon: amenity.icon
+      }));
+  }
+}
+
+module.exports = new AmenityService();
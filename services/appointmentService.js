@@ -0,0 +1,499 @@
+// backend/services/appointmentService.js
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const Lead = require('../models/Lead');
+const LeadActivity = require('../models/LeadActivity');
+const Project = require('../models/Project');
+const TeamMember = require('../models/TeamMember');
+const pipelineService = require('./pipelineService');
+
+const DEFAULT_DURATION_MINUTES = 60;
+const MAX_DURATION_MINUTES = 8 * 60;
+
+// Stage a lead moves to once a viewing is booked (skipped if missing or inactive)
+const VIEWING_STAGE = 'ViewingScheduled';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// A booking lock left by a crashed request frees itself after this long
+const BOOKING_LOCK_MS = 15 * 1000;
+
+class AppointmentService {
+
+  // ==========================================
+  // 🛠️ HELPER FUNCTIONS (Internal Logic)
+  // ==========================================
+
+  _error(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * Day of week and minutes since midnight of a date in the business timezone
+   */
+  _localParts(date) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.getTimezone(),
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).reduce((acc, part) => {
+      acc[part.type] = part.value;
+      return acc;
+    }, {});
+
+    return {
+      day: WEEKDAYS.indexOf(parts.weekday),
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+  }
+
+  _toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Parse and check a requested slot
+   * @returns {Object} { startAt, endAt }
+   */
+  _parseSlot({ startAt, endAt, durationMinutes }) {
+    const start = new Date(startAt);
+    if (!startAt || isNaN(start)) {
+      throw this._error('A valid start time is required');
+    }
+
+    let end;
+    if (endAt) {
+      end = new Date(endAt);
+      if (isNaN(end)) throw this._error('Invalid end time');
+    } else {
+      const duration = durationMinutes ? Number(durationMinutes) : DEFAULT_DURATION_MINUTES;
+      if (!Number.isFinite(duration) || duration <= 0) throw this._error('Invalid duration');
+      end = new Date(start.getTime() + duration * 60000);
+    }
+
+    if (end <= start) {
+      throw this._error('End time must be after start time');
+    }
+    if (end - start > MAX_DURATION_MINUTES * 60000) {
+      throw this._error(`Appointments can't be longer than ${MAX_DURATION_MINUTES / 60} hours`);
+    }
+    if (start <= new Date()) {
+      throw this._error('Appointments must be in the future');
+    }
+
+    return { startAt: start, endAt: end };
+  }
+
+  async _getActiveMember(teamMemberId) {
+    if (!mongoose.isValidObjectId(teamMemberId)) {
+      throw this._error('Invalid team member');
+    }
+    const member = await TeamMember.findById(teamMemberId).select('translations.en.name email active availability');
+    if (!member || !member.active) {
+      throw this._error('Team member not found or inactive', 404);
+    }
+    return member;
+  }
+
+  /**
+   * Check availability windows and existing appointments (409 on conflict)
+   */
+  async _assertSlotFree(member, { startAt, endAt }, excludeId = null) {
+    if (!this.isWithinAvailability(member, startAt, endAt)) {
+      throw this._error('The agent is not available at this time', 409);
+    }
+
+    const conflicts = await Appointment.findConflicts(member._id, startAt, endAt, excludeId);
+    if (conflicts.length > 0) {
+      const error = this._error('The agent already has an appointment at this time', 409);
+      error.conflicts = conflicts;
+      throw error;
+    }
+  }
+
+  /**
+   * Take the agent's booking lock (null when another booking holds it)
+   * @returns {Date|null} Lock value to release it with
+   */
+  async _lockAgent(teamMemberId) {
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + BOOKING_LOCK_MS);
+    const result = await TeamMember.updateOne(
+      { _id: teamMemberId, $or: [{ bookingLockedUntil: null }, { bookingLockedUntil: { $lte: now } }] },
+      { bookingLockedUntil: lockedUntil },
+      { timestamps: false }
+    );
+    return result.modifiedCount === 1 ? lockedUntil : null;
+  }
+
+  async _unlockAgent(teamMemberId, lockedUntil) {
+    // Only our own lock (it may have expired and been taken by another booking)
+    await TeamMember.updateOne(
+      { _id: teamMemberId, bookingLockedUntil: lockedUntil },
+      { bookingLockedUntil: null },
+      { timestamps: false }
+    );
+  }
+
+  /**
+   * Run the availability check and the write of a booking one at a time per agent,
+   * so two concurrent bookings can't both pass the check
+   */
+  async _withAgentLock(teamMemberId, task) {
+    const lockedUntil = await this._lockAgent(teamMemberId);
+    if (!lockedUntil) {
+      throw this._error('Another booking for this agent is in progress. Please try again.', 409);
+    }
+
+    try {
+      return await task();
+    } finally {
+      await this._unlockAgent(teamMemberId, lockedUntil);
+    }
+  }
+
+  /**
+   * Move the lead to the viewing stage if it's still before it in the pipeline
+   */
+  async _advanceLead(lead, adminId) {
+    const [viewingStage, currentStage] = await Promise.all([
+      pipelineService.getStage(VIEWING_STAGE),
+      pipelineService.getStage(lead.status)
+    ]);
+    if (!viewingStage || !viewingStage.active || !currentStage) return;
+
+    const isEarlier = currentStage.category === 'new' ||
+      (currentStage.category === 'open' && currentStage.order < viewingStage.order);
+    if (!isEarlier) return;
+
+    lead.setActor(adminId);
+    lead.status = viewingStage.key;
+    await lead.save();
+  }
+
+  _describeSlot(appointment) {
+    return `${appointment.startAt.toISOString()} - ${appointment.endAt.toISOString()}`;
+  }
+
+  // iCalendar helpers (RFC 5545)
+  _icsDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  _icsText(value) {
+    return String(value || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // Lines longer than 75 bytes continue on the next line after a space
+  // (split on characters so Arabic/Hebrew text isn't cut mid-character)
+  _icsFold(line) {
+    const chunks = [];
+    let current = '';
+    for (const char of line) {
+      if (Buffer.byteLength(current + char) > 74) {
+        chunks.push(current);
+        current = '';
+      }
+      current += char;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+  }
+
+  // ==========================================
+  // 🚀 MAIN PUBLIC FUNCTIONS
+  // ==========================================
+
+  /**
+   * Timezone of the availability windows (IANA name)
+   */
+  getTimezone() {
+    return process.env.APPOINTMENT_TIMEZONE || 'Asia/Jerusalem';
+  }
+
+  /**
+   * Whether a slot fits in one of the agent's weekly windows
+   * (agents without configured windows are always available)
+   */
+  isWithinAvailability(member, startAt, endAt) {
+    if (!member.availability || member.availability.length === 0) return true;
+
+    const start = this._localParts(startAt);
+    const end = this._localParts(endAt);
+
+    // Slots must stay within one day (ending exactly at midnight is fine)
+    const endMinutes = end.date === start.date ? end.minutes : (end.minutes === 0 ? 24 * 60 : null);
+    if (endMinutes === null) return false;
+
+    return member.availability.some(window =>
+      window.dayOfWeek === start.day &&
+      this._toMinutes(window.startTime) <= start.minutes &&
+      endMinutes <= this._toMinutes(window.endTime)
+    );
+  }
+
+  /**
+   * Book a viewing from the admin panel
+   * @param {Object} data - { leadId, projectId, teamMemberId, startAt, endAt, durationMinutes, notes }
+   */
+  async create(data, adminId = null) {
+    if (!mongoose.isValidObjectId(data.leadId)) throw this._error('Invalid lead');
+    const lead = await Lead.findById(data.leadId);
+    if (!lead) throw this._error('Lead not found', 404);
+
+    const projectId = data.projectId || lead.project;
+    if (!projectId || !mongoose.isValidObjectId(projectId)) throw this._error('A valid project is required');
+    const project = await Project.exists({ _id: projectId, status: { $ne: 'deleted' } });
+    if (!project) throw this._error('Project not found', 404);
+
+    const teamMemberId = data.teamMemberId || lead.assignedTo;
+    if (!teamMemberId) throw this._error('An agent is required (the lead is not assigned)');
+    const member = await this._getActiveMember(teamMemberId);
+
+    const slot = this._parseSlot(data);
+    const appointment = await this._withAgentLock(member._id, async () => {
+      await this._assertSlotFree(member, slot);
+
+      return Appointment.create({
+        lead: lead._id,
+        project: project._id,
+        teamMember: member._id,
+        ...slot,
+        status: 'scheduled',
+        source: 'admin',
+        notes: data.notes || '',
+        createdBy: adminId
+      });
+    });
+
+    await LeadActivity.record({
+      lead: lead._id,
+      type: 'appointment_scheduled',
+      to: this._describeSlot(appointment),
+      actor: adminId
+    });
+    await this._advanceLead(lead, adminId);
+
+    return appointment;
+  }
+
+  /**
+   * Viewing requested by a website visitor (waits for an admin to confirm)
+   * The lead's assignee is attached only if they are free at that time.
+   */
+  async request(lead, projectId, slotData) {
+    const slot = this._parseSlot(slotData);
+
+    const createRequest = (teamMember) => Appointment.create({
+      lead: lead._id,
+      project: projectId,
+      teamMember,
+      ...slot,
+      status: 'requested',
+      source: 'website',
+      notes: slotData.notes || ''
+    });
+
+    let appointment = null;
+    if (lead.assignedTo) {
+      const member = await TeamMember.findById(lead.assignedTo).select('active availability');
+      const lockedUntil = member && member.active ? await this._lockAgent(member._id) : null;
+
+      // Agent busy (or another booking in progress): the admin picks one when confirming
+      if (lockedUntil) {
+        try {
+          const isFree = this.isWithinAvailability(member, slot.startAt, slot.endAt) &&
+            (await Appointment.findConflicts(member._id, slot.startAt, slot.endAt)).length === 0;
+          appointment = await createRequest(isFree ? member._id : null);
+        } finally {
+          await this._unlockAgent(member._id, lockedUntil);
+        }
+      }
+    }
+    if (!appointment) {
+      appointment = await createRequest(null);
+    }
+
+    await LeadActivity.record({
+      lead: lead._id,
+      type: 'appointment_scheduled',
+      to: this._describeSlot(appointment),
+      note: 'Viewing requested from the website'
+    });
+
+    return appointment;
+  }
+
+  /**
+   * Validate the slot the visitor asked for before creating anything
+   */
+  validateRequestedSlot(slotData) {
+    return this._parseSlot(slotData);
+  }
+
+  /**
+   * Confirm a website request (optionally with another agent)
+   */
+  async confirm(appointment, { teamMemberId } = {}, adminId = null) {
+    if (appointment.status !== 'requested') {
+      throw this._error('Only requested appointments can be confirmed');
+    }
+
+    const member = await this._getActiveMember(teamMemberId || appointment.teamMember);
+    await this._withAgentLock(member._id, async () => {
+      await this._assertSlotFree(member, appointment, appointment._id);
+
+      appointment.teamMember = member._id;
+      appointment.status = 'scheduled';
+      await appointment.save();
+    });
+
+    const lead = await Lead.findById(appointment.lead);
+    if (lead) {
+      await this._advanceLead(lead, adminId);
+    }
+
+    return appointment;
+  }
+
+  /**
+   * Move an appointment to another time and/or agent
+   * @param {Object} data - { startAt, endAt, durationMinutes, teamMemberId }
+   */
+  async reschedule(appointment, data, adminId = null) {
+    if (!appointment.isActive) {
+      throw this._error(`Can't reschedule a ${appointment.status} appointment`);
+    }
+
+    const slot = this._parseSlot({
+      startAt: data.startAt || appointment.startAt,
+      endAt: data.endAt,
+      durationMinutes: data.endAt ? undefined : (data.durationMinutes || appointment.durationMinutes)
+    });
+
+    const teamMemberId = data.teamMemberId || appointment.teamMember;
+    const member = teamMemberId ? await this._getActiveMember(teamMemberId) : null;
+    const previous = this._describeSlot(appointment);
+
+    const move = async () => {
+      if (member) {
+        await this._assertSlotFree(member, slot, appointment._id);
+      }
+
+      appointment.rescheduleHistory.push({
+        startAt: appointment.startAt,
+        endAt: appointment.endAt,
+        teamMember: appointment.teamMember,
+        changedBy: adminId
+      });
+      appointment.startAt = slot.startAt;
+      appointment.endAt = slot.endAt;
+      appointment.teamMember = member ? member._id : null;
+      await appointment.save();
+    };
+    await (member ? this._withAgentLock(member._id, move) : move());
+
+    await LeadActivity.record({
+      lead: appointment.lead,
+      type: 'appointment_rescheduled',
+      from: previous,
+      to: this._describeSlot(appointment),
+      actor: adminId
+    });
+
+    return appointment;
+  }
+
+  async complete(appointment) {
+    if (appointment.status !== 'scheduled') {
+      throw this._error('Only scheduled appointments can be completed');
+    }
+
+    appointment.status = 'completed';
+    return appointment.save();
+  }
+
+  async cancel(appointment, reason = '', adminId = null) {
+    if (!appointment.isActive) {
+      throw this._error(`Appointment is already ${appointment.status}`);
+    }
+
+    appointment.status = 'cancelled';
+    appointment.cancelReason = reason || '';
+    await appointment.save();
+
+    await LeadActivity.record({
+      lead: appointment.lead,
+      type: 'appointment_cancelled',
+      from: this._describeSlot(appointment),
+      note: appointment.cancelReason,
+      actor: adminId
+    });
+
+    return appointment;
+  }
+
+  /**
+   * iCalendar (.ics) file for an appointment
+   * (expects lead, project and teamMember to be populated)
+   */
+  toIcs(appointment) {
+    const project = appointment.project || {};
+    const lead = appointment.lead || {};
+    const member = appointment.teamMember;
+
+    const title = project.translations?.en?.title || 'Property';
+    const location = project.translations?.en?.location || '';
+    const description = [
+      `Client: ${lead.fullName || ''}`,
+      `Phone: ${lead.phoneNumber || ''}`,
+      `Email: ${lead.email || ''}`,
+      member ? `Agent: ${member.translations?.en?.name || ''}` : null,
+      appointment.notes ? `Notes: ${appointment.notes}` : null
+    ].filter(Boolean).join('\n');
+
+    const status = {
+      requested: 'TENTATIVE',
+      scheduled: 'CONFIRMED',
+      completed: 'CONFIRMED',
+      cancelled: 'CANCELLED'
+    }[appointment.status];
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//ALL IN Real Estate//Appointments//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'BEGIN:VEVENT',
+      `UID:${appointment._id}@allin-appointments`,
+      `SEQUENCE:${appointment.rescheduleHistory.length}`,
+      `DTSTAMP:${this._icsDate(appointment.updatedAt || new Date())}`,
+      `DTSTART:${this._icsDate(appointment.startAt)}`,
+      `DTEND:${this._icsDate(appointment.endAt)}`,
+      `SUMMARY:${this._icsText(`Viewing: ${title}`)}`,
+      `LOCATION:${this._icsText(location)}`,
+      `DESCRIPTION:${this._icsText(description)}`,
+      `STATUS:${status}`,
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ];
+
+    return lines.map(line => this._icsFold(line)).join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = new AppointmentService();
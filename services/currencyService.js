@@ -0,0 +1,257 @@
+// backend/services/currencyService.js
+const fs = require('fs');
+const mongoose = require('mongoose');
+const CurrencyRate = require('../models/CurrencyRate');
+
+// Rates change rarely: cache them and reload after this long
+const CACHE_TTL_MS = 60 * 1000;
+
+const CURRENCIES = ['ILS', 'USD', 'EUR'];
+
+// Number formatting per site language
+const LOCALES = {
+  en: 'en-US',
+  ar: 'ar-IL',
+  he: 'he-IL'
+};
+
+/*
+ * Rates file (CURRENCY_RATES_FILE), same shape as most exchange-rate APIs:
+ * {
+ *   "base": "USD",                          // 1 unit of base = rates[currency]
+ *   "rates": { "ILS": 3.68, "EUR": 0.92 },
+ *   "date": "2026-10-19"                    // optional
+ * }
+ */
+
+class CurrencyService {
+
+  constructor() {
+    this.cache = null;
+    this.cachedAt = 0;
+    this.importedMtime = null;
+  }
+
+  // ==========================================
+  // 🛠️ HELPER FUNCTIONS (Internal Logic)
+  // ==========================================
+
+  _config() {
+    return {
+      ratesFile: process.env.CURRENCY_RATES_FILE || null
+    };
+  }
+
+  _error(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * Create the default rates on first use
+   */
+  async _ensureDefaults() {
+    const count = await CurrencyRate.countDocuments();
+    if (count >= CURRENCIES.length) return;
+
+    await CurrencyRate.insertMany(CurrencyRate.DEFAULT_RATES, { ordered: false }).catch(error => {
+      // Some currencies (or all, from a concurrent request) already exist
+      if (error.code !== 11000) throw error;
+    });
+  }
+
+  /**
+   * Convert a rates file (any base currency) to "value in the base currency" rates
+   */
+  _parseRatesFile(content) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (e) {
+      throw this._error('Rates file is not valid JSON');
+    }
+
+    const base = String(data.base || '').toUpperCase();
+    const rates = { ...(data.rates || {}), [base]: 1 };
+    const baseRate = Number(rates[CurrencyRate.BASE_CURRENCY]);
+    if (!CURRENCIES.includes(base) || !(baseRate > 0)) {
+      throw this._error(`Rates file needs a base (${CURRENCIES.join(', ')}) and a ${CurrencyRate.BASE_CURRENCY} rate`);
+    }
+
+    return CURRENCIES.reduce((result, currency) => {
+      const rate = Number(rates[currency]);
+      if (rate > 0) result[currency] = Math.round((baseRate / rate) * 1e6) / 1e6;
+      return result;
+    }, {});
+  }
+
+  // ==========================================
+  // 🚀 MAIN PUBLIC FUNCTIONS
+  // ==========================================
+
+  getCurrencies() {
+    return CURRENCIES;
+  }
+
+  getBaseCurrency() {
+    return CurrencyRate.BASE_CURRENCY;
+  }
+
+  /**
+   * Value of 1 unit of each currency in the base currency, e.g. { ILS: 1, USD: 3.7, EUR: 4 }
+   */
+  async getRates() {
+    if (this.cache && Date.now() - this.cachedAt < CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    await this._ensureDefaults();
+    const rates = await CurrencyRate.find().lean();
+    this.cache = rates.reduce((result, rate) => {
+      result[rate.currency] = rate.rate;
+      return result;
+    }, {});
+    this.cachedAt = Date.now();
+    return this.cache;
+  }
+
+  /**
+   * Rate documents (with source / last update) for the admin table
+   */
+  async getRateTable() {
+    await this._ensureDefaults();
+    return CurrencyRate.find()
+      .populate('updatedBy', 'firstName lastName email')
+      .sort({ currency: 1 });
+  }
+
+  invalidate() {
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Convert an amount between currencies (null stays null)
+   */
+  convert(amount, from, to, rates) {
+    if (amount === null || amount === undefined || !rates[from] || !rates[to]) return null;
+    if (from === to) return amount;
+    return Math.round((amount * rates[from]) / rates[to] * 100) / 100;
+  }
+
+  /**
+   * Amount in the base currency (Project.normalizedPrice)
+   */
+  async toBase(amount, currency) {
+    const rates = await this.getRates();
+    return this.convert(amount, currency, CurrencyRate.BASE_CURRENCY, rates);
+  }
+
+  /**
+   * Locale formatted amount, e.g. "$1,250,000" (en) / "‏1,250,000 ‏$" (he)
+   */
+  format(amount, currency, lang = 'en') {
+    if (amount === null || amount === undefined) return '--';
+    return new Intl.NumberFormat(LOCALES[lang] || LOCALES.en, {
+      style: 'currency',
+      currency,
+      maximumFractionDigits: 0
+    }).format(amount);
+  }
+
+  /**
+   * Prices of a listing converted to another currency (for ?displayCurrency=)
+   * @returns {Object} { currency, price, previousPrice, pricePerMonth, deposit, formattedPrice, rate }
+   */
+  getDisplayPrice(project, currency, lang, rates) {
+    const convert = (amount) => this.convert(amount ?? null, project.currency, currency, rates);
+    const price = convert(project.price);
+
+    return {
+      currency,
+      price,
+      previousPrice: convert(project.previousPrice),
+      pricePerMonth: convert(project.pricePerMonth),
+      deposit: convert(project.deposit),
+      formattedPrice: this.format(price, currency, lang),
+      rate: rates[project.currency] && rates[currency]
+        ? Math.round((rates[project.currency] / rates[currency]) * 1e6) / 1e6
+        : null
+    };
+  }
+
+  /**
+   * Update rates and re-normalize every listing price
+   * @param {Object} rates - { USD: 3.7, EUR: 4.02 } (value in the base currency)
+   * @returns {Object} Current rates
+   */
+  async setRates(rates, adminId = null, source = 'manual') {
+    const updates = Object.entries(rates || {});
+    if (updates.length === 0) {
+      throw this._error('No rates given');
+    }
+
+    for (const [currency, value] of updates) {
+      if (!CURRENCIES.includes(currency)) {
+        throw this._error(`Invalid currency ${currency}. Must be: ${CURRENCIES.join(', ')}`);
+      }
+      if (currency === CurrencyRate.BASE_CURRENCY && Number(value) !== 1) {
+        throw this._error(`${CurrencyRate.BASE_CURRENCY} is the base currency, its rate is always 1`);
+      }
+      if (!(Number(value) > 0)) {
+        throw this._error(`Rate of ${currency} must be a number greater than 0`);
+      }
+    }
+
+    await this._ensureDefaults();
+    for (const [currency, value] of updates) {
+      if (currency === CurrencyRate.BASE_CURRENCY) continue;
+      await CurrencyRate.updateOne(
+        { currency },
+        { rate: Number(value), source, updatedBy: adminId }
+      );
+    }
+
+    this.invalidate();
+    const current = await this.getRates();
+
+    // Loaded here: Project itself uses this service to normalize prices
+    await mongoose.model('Project').refreshNormalizedPrices(current);
+    return current;
+  }
+
+  /**
+   * Import rates from CURRENCY_RATES_FILE
+   * @param {Object} options - { force: import even if the file didn't change since the last import }
+   * @returns {Object} { imported, rates }
+   */
+  async importFromFile(options = {}) {
+    const { ratesFile } = this._config();
+    if (!ratesFile) {
+      throw this._error('CURRENCY_RATES_FILE is not configured', 503);
+    }
+
+    let stats;
+    try {
+      stats = await fs.promises.stat(ratesFile);
+    } catch (e) {
+      throw this._error(`Rates file not found: ${ratesFile}`, 404);
+    }
+
+    if (!options.force && this.importedMtime === stats.mtimeMs) {
+      return { imported: false, rates: await this.getRates() };
+    }
+
+    const content = await fs.promises.readFile(ratesFile, 'utf8');
+    const rates = await this.setRates(this._parseRatesFile(content), null, 'file');
+    this.importedMtime = stats.mtimeMs;
+    return { imported: true, rates };
+  }
+
+  isImportConfigured() {
+    return Boolean(this._config().ratesFile);
+  }
+}
+
+module.exports = new CurrencyService();
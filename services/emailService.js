@@ -0,0 +1,90 @@
+// backend/services/emailService.js
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+/**
+ * Pluggable mail transport, picked with MAIL_TRANSPORT:
+ * - smtp    : real delivery (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE)
+ * - file    : writes each message as JSON to MAIL_OUTPUT_DIR (default: tmp/mail)
+ * - console : logs messages (default, for local development)
+ */
+class EmailService {
+
+  constructor() {
+    this.transporter = null;
+  }
+
+  // ==========================================
+  // 🛠️ HELPER FUNCTIONS (Internal Logic)
+  // ==========================================
+
+  _transportName() {
+    return (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+  }
+
+  _getSmtpTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    }
+    return this.transporter;
+  }
+
+  async _writeToFile(message) {
+    const dir = process.env.MAIL_OUTPUT_DIR || path.join(__dirname, '..', 'tmp', 'mail');
+    await fs.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}_${crypto.randomBytes(4).toString('hex')}.json`;
+    const filePath = path.join(dir, fileName);
+    await fs.writeFile(filePath, JSON.stringify(message, null, 2), 'utf8');
+    return filePath;
+  }
+
+  // ==========================================
+  // 🚀 MAIN PUBLIC FUNCTIONS
+  // ==========================================
+
+  /**
+   * Send one email
+   * @param {Object} message - { to, subject, text, html }
+   */
+  async send({ to, subject, text, html }) {
+    const recipients = Array.isArray(to) ? to.filter(Boolean) : [to].filter(Boolean);
+    if (recipients.length === 0) return null;
+
+    const message = {
+      from: process.env.MAIL_FROM || 'ALL IN Real Estate <no-reply@allin.local>',
+      to: recipients.join(', '),
+      subject,
+      text,
+      html
+    };
+
+    const transport = this._transportName();
+
+    if (transport === 'smtp') {
+      const info = await this._getSmtpTransporter().sendMail(message);
+      console.log(`📧 Email sent to ${message.to}: ${subject}`);
+      return info;
+    }
+
+    if (transport === 'file') {
+      const filePath = await this._writeToFile(message);
+      console.log(`📧 Email written to ${filePath}`);
+      return { filePath };
+    }
+
+    console.log('📧 [console mail]', JSON.stringify({ to: message.to, subject, text }, null, 2));
+    return { logged: true };
+  }
+}
+
+module.exports = new EmailService();
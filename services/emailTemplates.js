@@ -0,0 +1,293 @@
+// backend/services/emailTemplates.js
+// Localized email templates (en / ar / he). Each template returns { subject, text, html }.
+
+const RTL_LANGS = ['ar', 'he'];
+
+const INQUIRY_LABELS = {
+  en: { buying: 'Buying', selling: 'Selling', renting: 'Renting', land: 'Land', consulting: 'Consulting' },
+  ar: { buying: 'شراء', selling: 'بيع', renting: 'إيجار', land: 'أراضي', consulting: 'استشارة' },
+  he: { buying: 'קנייה', selling: 'מכירה', renting: 'השכרה', land: 'קרקעות', consulting: 'ייעוץ' }
+};
+
+const STRINGS = {
+  en: {
+    ackSubject: 'We received your message - ALL IN Real Estate',
+    ackGreeting: name => `Hello ${name},`,
+    ackBody: 'Thank you for contacting ALL IN Real Estate. We received your inquiry and one of our agents will get back to you soon.',
+    ackSignature: 'ALL IN Real Estate team',
+    newLeadSubject: name => `New lead: ${name}`,
+    newLeadIntro: 'A new lead was submitted through the website.',
+    assignedSubject: name => `Lead assigned to you: ${name}`,
+    assignedIntro: name => `Hello ${name}, a lead was assigned to you.`,
+    searchConfirmSubject: 'Confirm your property alert - ALL IN Real Estate',
+    searchConfirmBody: 'Please confirm that you want to receive emails about new properties matching your search:',
+    searchConfirmAction: 'Confirm my alert',
+    searchConfirmIgnore: "If you didn't ask for this, just ignore this email.",
+    searchAlertSubject: count => `${count} propert${count === 1 ? 'y matches' : 'ies match'} your search - ALL IN Real Estate`,
+    searchAlertIntro: 'New properties or price reductions matching your saved search:',
+    priceReducedLabel: 'Price reduced',
+    unsubscribe: 'Unsubscribe from this alert',
+    searchLabels: {
+      forSale: 'For sale',
+      forRent: 'For rent',
+      bedrooms: 'bedrooms',
+      bathrooms: 'bathrooms',
+      area: 'sqm',
+      any: 'All properties'
+    },
+    labels: {
+      name: 'Name',
+      email: 'Email',
+      phone: 'Phone',
+      inquiry: 'Inquiry type',
+      message: 'Message',
+      priority: 'Priority'
+    }
+  },
+  ar: {
+    ackSubject: 'تم استلام رسالتك - ALL IN Real Estate',
+    ackGreeting: name => `مرحباً ${name}،`,
+    ackBody: 'شكراً لتواصلك مع ALL IN Real Estate. لقد استلمنا استفسارك وسيتواصل معك أحد وكلائنا قريباً.',
+    ackSignature: 'فريق ALL IN Real Estate',
+    newLeadSubject: name => `عميل محتمل جديد: ${name}`,
+    newLeadIntro: 'تم تقديم عميل محتمل جديد عبر الموقع.',
+    assignedSubject: name => `تم تعيين عميل محتمل لك: ${name}`,
+    assignedIntro: name => `مرحباً ${name}، تم تعيين عميل محتمل لك.`,
+    searchConfirmSubject: 'قم بتأكيد تنبيه العقارات - ALL IN Real Estate',
+    searchConfirmBody: 'يرجى تأكيد رغبتك في تلقي رسائل حول العقارات الجديدة المطابقة لبحثك:',
+    searchConfirmAction: 'تأكيد التنبيه',
+    searchConfirmIgnore: 'إذا لم تطلب ذلك، يمكنك تجاهل هذه الرسالة.',
+    searchAlertSubject: count => `${count} عقارات تطابق بحثك - ALL IN Real Estate`,
+    searchAlertIntro: 'عقارات جديدة أو تخفيضات أسعار تطابق بحثك المحفوظ:',
+    priceReducedLabel: 'تم تخفيض السعر',
+    unsubscribe: 'إلغاء الاشتراك في هذا التنبيه',
+    searchLabels: {
+      forSale: 'للبيع',
+      forRent: 'للإيجار',
+      bedrooms: 'غرف نوم',
+      bathrooms: 'حمامات',
+      area: 'م²',
+      any: 'جميع العقارات'
+    },
+    labels: {
+      name: 'الاسم',
+      email: 'البريد الإلكتروني',
+      phone: 'الهاتف',
+      inquiry: 'نوع الاستفسار',
+      message: 'الرسالة',
+      priority: 'الأولوية'
+    }
+  },
+  he: {
+    ackSubject: 'קיבלנו את פנייתך - ALL IN Real Estate',
+    ackGreeting: name => `שלום ${name},`,
+    ackBody: 'תודה שפנית ל-ALL IN Real Estate. קיבלנו את פנייתך ואחד הסוכנים שלנו יחזור אליך בהקדם.',
+    ackSignature: 'צוות ALL IN Real Estate',
+    newLeadSubject: name => `ליד חדש: ${name}`,
+    newLeadIntro: 'ליד חדש נשלח דרך האתר.',
+    assignedSubject: name => `ליד הועבר אליך: ${name}`,
+    assignedIntro: name => `שלום ${name}, ליד הועבר לטיפולך.`,
+    searchConfirmSubject: 'אישור התראת נכסים - ALL IN Real Estate',
+    searchConfirmBody: 'אנא אשר/י שברצונך לקבל הודעות על נכסים חדשים התואמים לחיפוש שלך:',
+    searchConfirmAction: 'אישור ההתראה',
+    searchConfirmIgnore: 'אם לא ביקשת זאת, ניתן להתעלם מהודעה זו.',
+    searchAlertSubject: count => `${count} נכסים תואמים לחיפוש שלך - ALL IN Real Estate`,
+    searchAlertIntro: 'נכסים חדשים או הורדות מחיר התואמים לחיפוש השמור שלך:',
+    priceReducedLabel: 'המחיר ירד',
+    unsubscribe: 'ביטול ההרשמה להתראה זו',
+    searchLabels: {
+      forSale: 'למכירה',
+      forRent: 'להשכרה',
+      bedrooms: 'חדרי שינה',
+      bathrooms: 'חדרי רחצה',
+      area: 'מ"ר',
+      any: 'כל הנכסים'
+    },
+    labels: {
+      name: 'שם',
+      email: 'אימייל',
+      phone: 'טלפון',
+      inquiry: 'סוג פנייה',
+      message: 'הודעה',
+      priority: 'עדיפות'
+    }
+  }
+};
+
+// ==========================================
+// 🛠️ HELPER FUNCTIONS
+// ==========================================
+
+const normalizeLang = (lang) => (STRINGS[lang] ? lang : 'en');
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const wrapHtml = (lang, body) => {
+  const dir = RTL_LANGS.includes(lang) ? 'rtl' : 'ltr';
+  return `<!DOCTYPE html><html lang="${lang}" dir="${dir}"><body style="font-family: Arial, sans-serif; direction: ${dir};">${body}</body></html>`;
+};
+
+/**
+ * Lead details as text lines and an HTML table
+ */
+const leadDetails = (lead, lang) => {
+  const { labels } = STRINGS[lang];
+  const rows = [
+    [labels.name, lead.fullName],
+    [labels.email, lead.email],
+    [labels.phone, lead.phoneNumber],
+    [labels.inquiry, INQUIRY_LABELS[lang][lead.inquiryType] || lead.inquiryType],
+    [labels.priority, lead.priority],
+    [labels.message, lead.message]
+  ];
+
+  return {
+    text: rows.map(([label, value]) => `${label}: ${value || ''}`).join('\n'),
+    html: `<table cellpadding="4">${rows
+      .map(([label, value]) => `<tr><td><strong>${escapeHtml(label)}</strong></td><td>${escapeHtml(value || '')}</td></tr>`)
+      .join('')}</table>`
+  };
+};
+
+/**
+ * One-line description of saved search criteria, e.g. "For sale · haifa · 3-4 bedrooms · 1,000,000-2,000,000 ILS"
+ */
+const describeCriteria = (criteria = {}, lang) => {
+  const labels = STRINGS[lang].searchLabels;
+  const range = (min, max) => {
+    const format = value => Number(value).toLocaleString('en-US');
+    if (min != null && max != null) return `${format(min)}-${format(max)}`;
+    if (min != null) return `${format(min)}+`;
+    if (max != null) return `≤ ${format(max)}`;
+    return null;
+  };
+
+  const prices = range(criteria.minPrice, criteria.maxPrice);
+  const bedrooms = range(criteria.minBedrooms, criteria.maxBedrooms);
+  const bathrooms = range(criteria.minBathrooms, criteria.maxBathrooms);
+  const area = range(criteria.minAreaSqm, criteria.maxAreaSqm);
+
+  const parts = [
+    criteria.type ? labels[criteria.type] : null,
+    [criteria.city, criteria.neighborhood].filter(Boolean).join(' / ') || null,
+    bedrooms ? `${bedrooms} ${labels.bedrooms}` : null,
+    bathrooms ? `${bathrooms} ${labels.bathrooms}` : null,
+    area ? `${area} ${labels.area}` : null,
+    // Without a currency the range applies to the price converted to ILS
+    prices ? `${prices} ${criteria.currency || 'ILS'}` : null
+  ].filter(Boolean);
+
+  return parts.length > 0 ? parts.join(' · ') : labels.any;
+};
+
+// ==========================================
+// 🚀 TEMPLATES
+// ==========================================
+
+/**
+ * Acknowledgement sent to the client in their language
+ */
+const leadAcknowledgement = (lead, lang) => {
+  const language = normalizeLang(lang);
+  const t = STRINGS[language];
+
+  return {
+    subject: t.ackSubject,
+    text: `${t.ackGreeting(lead.fullName)}\n\n${t.ackBody}\n\n${t.ackSignature}`,
+    html: wrapHtml(language, `<p>${escapeHtml(t.ackGreeting(lead.fullName))}</p><p>${escapeHtml(t.ackBody)}</p><p>${escapeHtml(t.ackSignature)}</p>`)
+  };
+};
+
+/**
+ * New website lead (sent to superadmins)
+ */
+const newLeadAlert = (lead, lang = 'en') => {
+  const language = normalizeLang(lang);
+  const t = STRINGS[language];
+  const details = leadDetails(lead, language);
+
+  return {
+    subject: t.newLeadSubject(lead.fullName),
+    text: `${t.newLeadIntro}\n\n${details.text}`,
+    html: wrapHtml(language, `<p>${escapeHtml(t.newLeadIntro)}</p>${details.html}`)
+  };
+};
+
+/**
+ * Lead assigned to a team member
+ */
+const leadAssigned = (lead, memberName, lang = 'en') => {
+  const language = normalizeLang(lang);
+  const t = STRINGS[language];
+  const details = leadDetails(lead, language);
+
+  return {
+    subject: t.assignedSubject(lead.fullName),
+    text: `${t.assignedIntro(memberName)}\n\n${details.text}`,
+    html: wrapHtml(language, `<p>${escapeHtml(t.assignedIntro(memberName))}</p>${details.html}`)
+  };
+};
+
+/**
+ * Double opt-in for a saved search
+ */
+const savedSearchConfirmation = ({ criteria, confirmUrl }, lang) => {
+  const language = normalizeLang(lang);
+  const t = STRINGS[language];
+  const summary = describeCriteria(criteria, language);
+
+  return {
+    subject: t.searchConfirmSubject,
+    text: `${t.searchConfirmBody}\n${summary}\n\n${t.searchConfirmAction}: ${confirmUrl}\n\n${t.searchConfirmIgnore}`,
+    html: wrapHtml(language, `<p>${escapeHtml(t.searchConfirmBody)}</p><p><strong>${escapeHtml(summary)}</strong></p>` +
+      `<p><a href="${escapeHtml(confirmUrl)}">${escapeHtml(t.searchConfirmAction)}</a></p><p>${escapeHtml(t.searchConfirmIgnore)}</p>`)
+  };
+};
+
+/**
+ * Matching properties for a saved search
+ * projects: [{ title, location, formattedPrice, previousPrice, priceReduced, url }]
+ */
+const savedSearchAlert = ({ criteria, projects, unsubscribeUrl }, lang) => {
+  const language = normalizeLang(lang);
+  const t = STRINGS[language];
+  const summary = describeCriteria(criteria, language);
+
+  const describe = project => [
+    project.title,
+    project.location,
+    project.formattedPrice,
+    project.priceReduced ? `(${t.priceReducedLabel})` : null
+  ].filter(Boolean).join(' - ');
+
+  const text = projects
+    .map(project => `• ${describe(project)}${project.url ? `\n  ${project.url}` : ''}`)
+    .join('\n');
+  const html = projects
+    .map(project => {
+      const label = escapeHtml(describe(project));
+      return `<li>${project.url ? `<a href="${escapeHtml(project.url)}">${label}</a>` : label}</li>`;
+    })
+    .join('');
+
+  return {
+    subject: t.searchAlertSubject(projects.length),
+    text: `${t.searchAlertIntro}\n${summary}\n\n${text}\n\n${t.unsubscribe}: ${unsubscribeUrl}`,
+    html: wrapHtml(language, `<p>${escapeHtml(t.searchAlertIntro)}</p><p><strong>${escapeHtml(summary)}</strong></p><ul>${html}</ul>` +
+      `<p><a href="${escapeHtml(unsubscribeUrl)}">${escapeHtml(t.unsubscribe)}</a></p>`)
+  };
+};
+
+module.exports = {
+  leadAcknowledgement,
+  newLeadAlert,
+  leadAssigned,
+  savedSearchConfirmation,
+  savedSearchAlert,
+  escapeHtml
+};
@@ -0,0 +1,208 @@
+// backend/services/leadAnalyticsService.js
+const Lead = require('../models/Lead');
+const TeamMember = require('../models/TeamMember');
+const pipelineService = require('./pipelineService');
+
+// $dateToString formats for each grouping (week = ISO week, e.g. 2024-W07)
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class LeadAnalyticsService {
+
+  // ==========================================
+  // 🛠️ HELPER FUNCTIONS (Internal Logic)
+  // ==========================================
+
+  _median(sortedValues) {
+    if (!sortedValues || sortedValues.length === 0) return null;
+    const middle = Math.floor(sortedValues.length / 2);
+    return sortedValues.length % 2
+      ? sortedValues[middle]
+      : (sortedValues[middle - 1] + sortedValues[middle]) / 2;
+  }
+
+  _toHours(ms) {
+    return ms === null ? null : Math.round((ms / HOUR_MS) * 10) / 10;
+  }
+
+  _rate(part, total) {
+    return total ? Math.round((part / total) * 1000) / 10 : 0;
+  }
+
+  /**
+   * Durations (ms) from createdAt to another date field, sorted ascending
+   */
+  _durationPipeline(field) {
+    return [
+      { $match: { [field]: { $ne: null } } },
+      { $project: { duration: { $subtract: [`$${field}`, '$createdAt'] } } },
+      { $match: { duration: { $gte: 0 } } },
+      { $sort: { duration: 1 } },
+      { $group: { _id: null, values: { $push: '$duration' } } }
+    ];
+  }
+
+  _countsBy(field, wonStages) {
+    return [
+      {
+        $group: {
+          _id: `$${field}`,
+          total: { $sum: 1 },
+          closed: { $sum: { $cond: [{ $in: ['$status', wonStages] }, 1, 0] } }
+        }
+      },
+      { $sort: { total: -1 } }
+    ];
+  }
+
+  // ==========================================
+  // 🚀 MAIN PUBLIC FUNCTIONS
+  // ==========================================
+
+  /**
+   * Funnel and conversion analytics
+   * @param {Object} filters - Same filters as Lead.getFilteredLeads (date range, assignedTo, ...)
+   * @param {Object} options
+   * @param {string} options.groupBy - day | week | month (default: day)
+   * @param {string} options.timezone - IANA timezone for period buckets
+   */
+  async getAnalytics(filters = {}, options = {}) {
+    const groupBy = PERIOD_FORMATS[options.groupBy] ? options.groupBy : 'day';
+    const timezone = options.timezone || process.env.ANALYTICS_TIMEZONE || 'Asia/Jerusalem';
+
+    const match = Lead.buildFilterQuery(filters);
+
+    // "Closed" in analytics means won (lost deals don't convert)
+    const wonStages = await pipelineService.getKeysByCategory('won');
+    const lostStages = await pipelineService.getKeysByCategory('lost');
+
+    const [result] = await Lead.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                total: { $sum: 1 },
+                contacted: { $sum: { $cond: [{ $ne: ['$contactedAt', null] }, 1, 0] } },
+                closed: { $sum: { $cond: [{ $in: ['$status', wonStages] }, 1, 0] } },
+                lost: { $sum: { $cond: [{ $in: ['$status', lostStages] }, 1, 0] } }
+              }
+            }
+          ],
+          timeline: [
+            {
+              $group: {
+                _id: { $dateToString: { format: PERIOD_FORMATS[groupBy], date: '$createdAt', timezone } },
+                total: { $sum: 1 },
+                closed: { $sum: { $cond: [{ $in: ['$status', wonStages] }, 1, 0] } }
+              }
+            },
+            { $sort: { _id: 1 } }
+          ],
+          bySource: this._countsBy('source', wonStages),
+          byInquiryType: this._countsBy('inquiryType', wonStages),
+          byStatus: [
+            { $group: { _id: '$status', total: { $sum: 1 } } },
+            { $sort: { total: -1 } }
+          ],
+          byLostReason: [
+            { $match: { status: { $in: lostStages } } },
+            { $group: { _id: { $ifNull: ['$lostReason', 'Unknown'] }, total: { $sum: 1 } } },
+            { $sort: { total: -1 } }
+          ],
+          timeToContact: this._durationPipeline('contactedAt'),
+          timeToClose: this._durationPipeline('closedAt'),
+          byAgent: [
+            {
+              $group: {
+                _id: '$assignedTo',
+                total: { $sum: 1 },
+                contacted: { $sum: { $cond: [{ $ne: ['$contactedAt', null] }, 1, 0] } },
+                closed: { $sum: { $cond: [{ $in: ['$status', wonStages] }, 1, 0] } },
+                contactDurations: {
+                  $push: {
+                    $cond: [
+                      { $ne: ['$contactedAt', null] },
+                      { $subtract: ['$contactedAt', '$createdAt'] },
+                      '$$REMOVE'
+                    ]
+                  }
+                }
+              }
+            },
+            { $sort: { total: -1 } }
+          ]
+        }
+      }
+    ]);
+
+    const totals = result.totals[0] || { total: 0, contacted: 0, closed: 0, lost: 0 };
+
+    // Team member names for the per-agent table
+    const agentIds = result.byAgent.map(row => row._id).filter(Boolean);
+    const members = await TeamMember.find({ _id: { $in: agentIds } })
+      .select('translations.en.name translations.ar.name translations.he.name');
+    const membersById = new Map(members.map(member => [member._id.toString(), member]));
+
+    const formatBreakdown = rows => rows.map(row => ({
+      key: row._id,
+      total: row.total,
+      closed: row.closed,
+      conversionRate: this._rate(row.closed, row.total)
+    }));
+
+    return {
+      range: {
+        startDate: filters.startDate || null,
+        endDate: filters.endDate || null,
+        groupBy,
+        timezone
+      },
+      totals: {
+        total: totals.total,
+        contacted: totals.contacted,
+        closed: totals.closed,
+        lost: totals.lost,
+        contactRate: this._rate(totals.contacted, totals.total),
+        conversionRate: this._rate(totals.closed, totals.total)
+      },
+      timeline: result.timeline.map(row => ({
+        period: row._id,
+        total: row.total,
+        closed: row.closed
+      })),
+      bySource: formatBreakdown(result.bySource),
+      byInquiryType: formatBreakdown(result.byInquiryType),
+      byStatus: result.byStatus.map(row => ({ status: row._id, total: row.total })),
+      byLostReason: result.byLostReason.map(row => ({ reason: row._id, total: row.total })),
+      medianHoursToContact: this._toHours(this._median(result.timeToContact[0]?.values)),
+      medianHoursToClose: this._toHours(this._median(result.timeToClose[0]?.values)),
+      byAgent: result.byAgent.map(row => {
+        const member = row._id ? membersById.get(row._id.toString()) : null;
+        const durations = [...row.contactDurations].sort((a, b) => a - b);
+        return {
+          agentId: row._id,
+          name: member ? {
+            en: member.translations.en.name,
+            ar: member.translations.ar.name,
+            he: member.translations.he.name
+          } : null,
+          total: row.total,
+          contacted: row.contacted,
+          closed: row.closed,
+          conversionRate: this._rate(row.closed, row.total),
+          medianHoursToContact: this._toHours(this._median(durations))
+        };
+      })
+    };
+  }
+}
+
+module.exports = new LeadAnalyticsService();
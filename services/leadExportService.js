@@ -0,0 +1,120 @@
+// backend/services/leadExportService.js
+const ExcelJS = require('exceljs');
+
+// UTF-8 byte order mark so Excel opens Hebrew/Arabic text correctly
+const UTF8_BOM = '\uFEFF';
+
+const COLUMNS = [
+  { header: 'ID', key: 'id', width: 26 },
+  { header: 'Created At', key: 'createdAt', width: 20 },
+  { header: 'Full Name', key: 'fullName', width: 24 },
+  { header: 'Email', key: 'email', width: 28 },
+  { header: 'Phone Number', key: 'phoneNumber', width: 16 },
+  { header: 'Inquiry Type', key: 'inquiryType', width: 14 },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Priority', key: 'priority', width: 10 },
+  { header: 'Assigned To', key: 'assignedTo', width: 24 },
+  { header: 'Source', key: 'source', width: 20 },
+  { header: 'Contacted At', key: 'contactedAt', width: 20 },
+  { header: 'Closed At', key: 'closedAt', width: 20 },
+  { header: 'Message', key: 'message', width: 50 },
+  { header: 'Notes', key: 'notes', width: 50 }
+];
+
+class LeadExportService {
+
+  // ==========================================
+  // 🛠️ HELPER FUNCTIONS (Internal Logic)
+  // ==========================================
+
+  _formatDate(date) {
+    return date ? new Date(date).toISOString().replace('T', ' ').slice(0, 19) : '';
+  }
+
+  /**
+   * Assigned team member name in the requested language (falls back to English)
+   */
+  _assigneeName(lead, lang) {
+    const translations = lead.assignedTo?.translations;
+    if (!translations) return '';
+    return translations[lang]?.name || translations.en?.name || '';
+  }
+
+  _toRow(lead, lang) {
+    return {
+      id: lead._id.toString(),
+      createdAt: this._formatDate(lead.createdAt),
+      fullName: lead.fullName,
+      email: lead.email,
+      phoneNumber: lead.phoneNumber,
+      inquiryType: lead.inquiryType,
+      status: lead.status,
+      priority: lead.priority,
+      assignedTo: this._assigneeName(lead, lang),
+      source: lead.source,
+      contactedAt: this._formatDate(lead.contactedAt),
+      closedAt: this._formatDate(lead.closedAt),
+      message: lead.message,
+      notes: lead.notes || ''
+    };
+  }
+
+  /**
+   * Quote a CSV cell and neutralize spreadsheet formulas (CSV injection)
+   */
+  _csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    const isNumber = /^[+-]?[\d\s()-]+$/.test(text);
+    if (!isNumber && /^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+      text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }
+
+  // ==========================================
+  // 🚀 MAIN PUBLIC FUNCTIONS
+  // ==========================================
+
+  /**
+   * Build a CSV file (UTF-8 with BOM)
+   * @param {Array} leads - Lead documents with assignedTo populated
+   * @param {string} lang - Language for team member names (en, ar, he)
+   * @returns {Buffer}
+   */
+  toCsv(leads, lang = 'en') {
+    const lines = [COLUMNS.map(column => this._csvCell(column.header)).join(',')];
+
+    leads.forEach(lead => {
+      const row = this._toRow(lead, lang);
+      lines.push(COLUMNS.map(column => this._csvCell(row[column.key])).join(','));
+    });
+
+    return Buffer.from(UTF8_BOM + lines.join('\r\n'), 'utf8');
+  }
+
+  /**
+   * Build an Excel workbook
+   * @param {Array} leads - Lead documents with assignedTo populated
+   * @param {string} lang - Language for team member names (en, ar, he)
+   * @returns {Promise<Buffer>}
+   */
+  async toXlsx(leads, lang = 'en') {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet('Leads', {
+      views: [{ state: 'frozen', ySplit: 1, rightToLeft: lang !== 'en' }]
+    });
+    sheet.columns = COLUMNS;
+    sheet.getRow(1).font = { bold: true };
+
+    leads.forEach(lead => sheet.addRow(this._toRow(lead, lang)));
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+}
+
+module.exports = new LeadExportService();
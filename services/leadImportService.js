@@ -0,0 +1,190 @@
+// backend/services/leadImportService.js
+const { parse } = require('csv-parse/sync');
+const Lead = require('../models/Lead');
+
+// Accepted column headers (normalized: lowercase, no spaces/underscores/dashes)
+const HEADER_ALIASES = {
+  fullName: ['fullname', 'name', 'clientname', 'contactname'],
+  email: ['email', 'emailaddress', 'mail'],
+  phoneNumber: ['phonenumber', 'phone', 'mobile', 'tel', 'telephone', 'cellphone'],
+  inquiryType: ['inquirytype', 'inquiry', 'interest', 'type'],
+  message: ['message', 'comments', 'comment', 'description'],
+  source: ['source', 'leadsource', 'channel'],
+  priority: ['priority'],
+  status: ['status'],
+  notes: ['notes', 'note', 'internalnotes']
+};
+
+const IMPORTABLE_FIELDS = Object.keys(HEADER_ALIASES);
+
+class LeadImportService {
+
+  // ==========================================
+  // 🛠️ HELPER FUNCTIONS (Internal Logic)
+  // ==========================================
+
+  _normalizeHeader(header = '') {
+    return header.toString().toLowerCase().replace(/[\s_\-.]/g, '');
+  }
+
+  /**
+   * Map CSV headers to Lead fields.
+   * An explicit mapping ({ "CSV header": "leadField" }) wins over aliases.
+   */
+  _buildColumnMap(headers, mapping = {}) {
+    const columnMap = {};
+
+    headers.forEach(header => {
+      if (mapping[header] && IMPORTABLE_FIELDS.includes(mapping[header])) {
+        columnMap[header] = mapping[header];
+        return;
+      }
+
+      const normalized = this._normalizeHeader(header);
+      const field = IMPORTABLE_FIELDS.find(key => HEADER_ALIASES[key].includes(normalized));
+      if (field && !Object.values(columnMap).includes(field)) {
+        columnMap[header] = field;
+      }
+    });
+
+    return columnMap;
+  }
+
+  _rowToLeadData(record, columnMap, defaults) {
+    const data = { ...defaults };
+
+    Object.entries(columnMap).forEach(([header, field]) => {
+      const value = record[header] !== undefined ? String(record[header]).trim() : '';
+      if (value !== '') {
+        data[field] = value;
+      }
+    });
+
+    if (data.inquiryType) data.inquiryType = data.inquiryType.toLowerCase();
+
+    // Match the source enum case-insensitively ("whatsapp" → "WhatsApp")
+    if (data.source) {
+      const sources = Lead.schema.path('source').enumValues;
+      data.source = sources.find(source => source.toLowerCase() === data.source.toLowerCase()) || data.source;
+    }
+    if (!data.message) data.message = `Imported lead (${data.source})`;
+
+    return data;
+  }
+
+  _validationMessages(error) {
+    if (error && error.errors) {
+      return Object.values(error.errors).map(err => err.message);
+    }
+    return [error.message];
+  }
+
+  // ==========================================
+  // 🚀 MAIN PUBLIC FUNCTIONS
+  // ==========================================
+
+  /**
+   * Import leads from a CSV buffer and return a per-row report.
+   * @param {Buffer} buffer - CSV file contents (UTF-8, BOM allowed)
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Validate only, do not save
+   * @param {string} options.duplicates - 'skip' (default) or 'import'
+   * @param {Object} options.mapping - Optional { "CSV header": "leadField" }
+   * @param {Object} options.defaults - Values for missing columns (source, assignedTo, ...)
+   * @param {string} options.adminId - Admin performing the import
+   */
+  async importCsv(buffer, options = {}) {
+    const {
+      dryRun = false,
+      duplicates = 'skip',
+      mapping = {},
+      defaults = {},
+      adminId = null
+    } = options;
+
+    const records = parse(buffer, {
+      columns: true,
+      bom: true,
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true
+    });
+
+    const headers = records.length > 0 ? Object.keys(records[0]) : [];
+    const columnMap = this._buildColumnMap(headers, mapping);
+
+    const rowDefaults = {
+      source: 'Manual Entry',
+      ...defaults
+    };
+
+    const seenEmails = new Set();
+    const seenPhones = new Set();
+    const rows = [];
+    const summary = { total: records.length, created: 0, valid: 0, duplicates: 0, failed: 0 };
+
+    for (let index = 0; index < records.length; index++) {
+      // +2: header line and 1-based numbering, matches the line in a spreadsheet
+      const rowNumber = index + 2;
+      const data = this._rowToLeadData(records[index], columnMap, rowDefaults);
+      const lead = new Lead(data);
+
+      try {
+        await lead.validate();
+      } catch (validationError) {
+        summary.failed++;
+        rows.push({ row: rowNumber, status: 'error', errors: this._validationMessages(validationError) });
+        continue;
+      }
+
+      // Duplicates within the file and against existing leads
+      const normalizedPhone = Lead.normalizePhone(lead.phoneNumber);
+      const duplicateInFile = (lead.email && seenEmails.has(lead.email)) ||
+        (normalizedPhone && seenPhones.has(normalizedPhone));
+      if (lead.email) seenEmails.add(lead.email);
+      if (normalizedPhone) seenPhones.add(normalizedPhone);
+
+      const [existing] = await Lead.findDuplicates(lead);
+
+      if ((duplicateInFile || existing) && duplicates !== 'import') {
+        summary.duplicates++;
+        rows.push({
+          row: rowNumber,
+          status: 'duplicate',
+          duplicateOf: existing ? existing._id : null,
+          errors: [existing ? 'A lead with this email or phone already exists' : 'Duplicate of an earlier row in this file']
+        });
+        continue;
+      }
+
+      if (dryRun) {
+        summary.valid++;
+        rows.push({ row: rowNumber, status: 'valid', duplicateOf: existing ? existing._id : null });
+        continue;
+      }
+
+      try {
+        lead.setActor(adminId);
+        await lead.save();
+        summary.created++;
+        rows.push({ row: rowNumber, status: 'created', leadId: lead._id, duplicateOf: lead.duplicateOf });
+      } catch (saveError) {
+        summary.failed++;
+        rows.push({ row: rowNumber, status: 'error', errors: this._validationMessages(saveError) });
+      }
+    }
+
+    const mappedFields = [...Object.values(columnMap), ...Object.keys(rowDefaults)];
+
+    return {
+      dryRun,
+      columnMap,
+      unmappedColumns: headers.filter(header => !columnMap[header]),
+      missingColumns: ['fullName', 'email', 'phoneNumber', 'inquiryType'].filter(field => !mappedFields.includes(field)),
+      summary,
+      rows
+    };
+  }
+}
+
+module.exports = new LeadImportService();
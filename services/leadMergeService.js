@@ -0,0 +1,123 @@
+// backend/services/leadMergeService.js
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const LeadActivity = require('../models/LeadActivity');
+const LeadTask = require('../models/LeadTask');
+const Appointment = require('../models/Appointment');
+const pipelineService = require('./pipelineService');
+
+// Higher rank wins when merging (status rank comes from the pipeline stages)
+const PRIORITY_RANK = { Low: 0, Medium: 1, High: 2 };
+
+class LeadMergeService {
+
+  // ==========================================
+  // 🛠️ HELPER FUNCTIONS (Internal Logic)
+  // ==========================================
+
+  _badRequest(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+
+  _strongest(values, rank) {
+    return values.reduce((best, value) => ((rank[value] ?? -1) > (rank[best] ?? -1) ? value : best));
+  }
+
+  _earliestDate(dates) {
+    const valid = dates.filter(Boolean).map(date => new Date(date));
+    if (valid.length === 0) return null;
+    return new Date(Math.min(...valid.map(date => date.getTime())));
+  }
+
+  _combineNotes(leads) {
+    return leads
+      .map(lead => lead.notes)
+      .filter(Boolean)
+      .join('\n---\n');
+  }
+
+  // ==========================================
+  // 🚀 MAIN PUBLIC FUNCTIONS
+  // ==========================================
+
+  /**
+   * Merge several leads into the one created first.
+   * - Keeps the earliest createdAt (the oldest lead survives)
+   * - Takes the strongest status and priority
+   * - Combines notes and moves the activity history to the survivor
+   * - Archives the other leads with mergedInto set
+   * @param {Array<string>} leadIds - At least two lead IDs
+   * @param {string} adminId - Admin performing the merge
+   * @returns {Object} The merged (surviving) lead
+   */
+  async merge(leadIds, adminId) {
+    if (leadIds.some(id => !mongoose.isValidObjectId(id))) {
+      throw this._badRequest('One or more lead IDs are invalid');
+    }
+
+    const uniqueIds = [...new Set(leadIds.map(id => id.toString()))];
+    if (uniqueIds.length < 2) {
+      throw this._badRequest('At least two different leads are required to merge');
+    }
+
+    const leads = await Lead.find({ _id: { $in: uniqueIds } }).sort({ createdAt: 1 });
+    if (leads.length !== uniqueIds.length) {
+      throw this._badRequest('One or more leads were not found');
+    }
+    if (leads.some(lead => lead.mergedInto)) {
+      throw this._badRequest('One or more leads were already merged');
+    }
+
+    const [primary, ...others] = leads;
+
+    const statusRank = await pipelineService.getStageRank();
+    const status = this._strongest(leads.map(lead => lead.status), statusRank);
+    const stage = await pipelineService.getStage(status);
+    const isClosed = stage && ['won', 'lost'].includes(stage.category);
+    const priority = this._strongest(leads.map(lead => lead.priority), PRIORITY_RANK);
+
+    primary.setActor(adminId);
+    primary.status = status;
+    primary.priority = priority;
+    primary.notes = this._combineNotes(leads);
+    primary.assignedTo = primary.assignedTo || others.find(lead => lead.assignedTo)?.assignedTo || null;
+    primary.contactedAt = this._earliestDate(leads.map(lead => lead.contactedAt));
+    primary.closedAt = isClosed ? this._earliestDate(leads.map(lead => lead.closedAt)) : null;
+    primary.lostReason = stage && stage.category === 'lost'
+      ? leads.find(lead => lead.status === status && lead.lostReason)?.lostReason || primary.lostReason
+      : null;
+    primary.duplicateOf = null;
+    await primary.save();
+
+    // Move the history and follow-up tasks of the merged leads to the survivor
+    const otherIds = others.map(lead => lead._id);
+    await LeadActivity.updateMany({ lead: { $in: otherIds } }, { lead: primary._id });
+    await LeadTask.updateMany({ lead: { $in: otherIds } }, { lead: primary._id });
+    await Appointment.updateMany({ lead: { $in: otherIds } }, { lead: primary._id });
+
+    for (const lead of others) {
+      lead.setActor(adminId);
+      lead.mergedInto = primary._id;
+      lead.isArchived = true;
+      await lead.save();
+
+      await LeadActivity.record({
+        lead: primary._id,
+        type: 'merged',
+        from: lead._id.toString(),
+        to: primary._id.toString(),
+        note: lead.message ? `Merged inquiry (${lead.createdAt.toISOString()}): ${lead.message}` : '',
+        actor: adminId || null
+      });
+    }
+
+    // Leads that pointed at a merged lead now point at the survivor
+    await Lead.updateMany({ duplicateOf: { $in: otherIds } }, { duplicateOf: primary._id });
+
+    return primary;
+  }
+}
+
+module.exports = new LeadMergeService();
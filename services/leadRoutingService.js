@@ -0,0 +1,129 @@
+// backend/services/leadRoutingService.js
+const Lead = require('../models/Lead');
+const LeadRoutingRule = require('../models/LeadRoutingRule');
+const TeamMember = require('../models/TeamMember');
+
+class LeadRoutingService {
+
+  // ==========================================
+  // 🛠️ HELPER FUNCTIONS (Internal Logic)
+  // ==========================================
+
+  /**
+   * Active team members allowed by the rule, in display order
+   */
+  async _getCandidates(rule) {
+    const query = { active: true };
+    if (rule.members && rule.members.length > 0) {
+      query._id = { $in: rule.members };
+    }
+    return TeamMember.find(query).sort({ order: 1, createdAt: 1 });
+  }
+
+  /**
+   * Pick the candidate with the fewest open leads (ties keep candidate order)
+   */
+  async _pickByLoad(candidates) {
+    const counts = await Lead.getOpenLeadCounts(candidates.map(member => member._id));
+
+    let best = null;
+    let bestCount = Infinity;
+    candidates.forEach(member => {
+      const count = counts[member._id.toString()] || 0;
+      if (count < bestCount) {
+        best = member;
+        bestCount = count;
+      }
+    });
+
+    return { member: best, reason: `Lowest open-lead load (${bestCount} open)` };
+  }
+
+  async _pickRoundRobin(rule, candidates) {
+    const index = await LeadRoutingRule.nextRoundRobinIndex(rule._id);
+    const member = candidates[index % candidates.length];
+    return { member, reason: `Round-robin position ${(index % candidates.length) + 1} of ${candidates.length}` };
+  }
+
+  async _pickBySpecialty(rule, candidates, lead) {
+    const terms = [lead.inquiryType, ...(rule.keywords || [])].map(term => term.toLowerCase());
+
+    const specialists = candidates.filter(member => {
+      const specialties = (member.translations?.en?.specialties || []).map(s => s.toLowerCase());
+      return specialties.some(specialty => terms.some(term => specialty.includes(term)));
+    });
+
+    if (specialists.length === 0) {
+      const fallback = await this._pickByLoad(candidates);
+      return { member: fallback.member, reason: `No specialist for '${lead.inquiryType}'; ${fallback.reason}` };
+    }
+
+    // Several specialists: spread the work by load
+    const picked = await this._pickByLoad(specialists);
+    return { member: picked.member, reason: `Specialty match for '${lead.inquiryType}'; ${picked.reason}` };
+  }
+
+  // ==========================================
+  // 🚀 MAIN PUBLIC FUNCTIONS
+  // ==========================================
+
+  /**
+   * Decide who should receive a lead, without saving anything.
+   * @param {Object} lead - Lead document (needs inquiryType)
+   * @returns {Object|null} { member, rule, reason } or null if no rule applies
+   */
+  async resolve(lead) {
+    const rules = await LeadRoutingRule.getActiveRules();
+
+    for (const rule of rules) {
+      if (!rule.matches(lead)) continue;
+
+      const candidates = await this._getCandidates(rule);
+      if (candidates.length === 0) continue;
+
+      let decision;
+      if (rule.strategy === 'round_robin') {
+        decision = await this._pickRoundRobin(rule, candidates);
+      } else if (rule.strategy === 'specialty') {
+        decision = await this._pickBySpecialty(rule, candidates, lead);
+      } else {
+        decision = await this._pickByLoad(candidates);
+      }
+
+      if (decision.member) {
+        return { ...decision, rule, candidates: candidates.length };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Assign an unassigned lead using the configured rules and record why.
+   * @param {Object} lead - Lead document
+   * @returns {Object} The (possibly) updated lead
+   */
+  async assignLead(lead) {
+    if (lead.assignedTo) return lead;
+
+    const decision = await this.resolve(lead);
+    if (!decision) return lead;
+
+    lead.routing = {
+      rule: decision.rule._id,
+      ruleName: decision.rule.name,
+      strategy: decision.rule.strategy,
+      reason: decision.reason,
+      candidates: decision.candidates,
+      routedAt: new Date()
+    };
+
+    // System action: no admin actor
+    await lead.assignTo(decision.member._id, null);
+    console.log(`🧭 Lead ${lead._id} routed to ${decision.member.translations.en.name} (${decision.rule.name})`);
+
+    return lead;
+  }
+}
+
+module.exports = new LeadRoutingService();
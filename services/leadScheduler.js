@@ -0,0 +1,124 @@
+// backend/services/leadScheduler.js
+const Lead = require('../models/Lead');
+const LeadTask = require('../models/LeadTask');
+const LeadActivity = require('../models/LeadActivity');
+const pipelineService = require('./pipelineService');
+
+class LeadScheduler {
+
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  // ==========================================
+  // 🛠️ HELPER FUNCTIONS (Internal Logic)
+  // ==========================================
+
+  _config() {
+    return {
+      intervalMinutes: Number(process.env.LEAD_SCHEDULER_INTERVAL_MINUTES) || 15,
+      newLeadSlaHours: Number(process.env.LEAD_NEW_SLA_HOURS) || 24
+    };
+  }
+
+  // ==========================================
+  // 🚀 MAIN PUBLIC FUNCTIONS
+  // ==========================================
+
+  /**
+   * Flag open tasks whose due date has passed
+   * @returns {number} Number of tasks flagged
+   */
+  async flagOverdueTasks() {
+    const now = new Date();
+    const tasks = await LeadTask.find({ status: 'open', isOverdue: false, dueDate: { $lt: now } });
+
+    for (const task of tasks) {
+      task.isOverdue = true;
+      task.overdueFlaggedAt = now;
+      await task.save();
+
+      await LeadActivity.record({
+        lead: task.lead,
+        type: 'task_overdue',
+        to: task._id.toString(),
+        note: task.description
+      });
+    }
+
+    return tasks.length;
+  }
+
+  /**
+   * Escalate leads still in the initial ('new' category) stage after the SLA
+   * (priority raised to High, escalatedAt set; both logged in the activity)
+   * @returns {number} Number of leads escalated
+   */
+  async escalateStaleLeads() {
+    const { newLeadSlaHours } = this._config();
+    const cutoff = new Date(Date.now() - newLeadSlaHours * 60 * 60 * 1000);
+
+    const newStages = await pipelineService.getKeysByCategory('new');
+
+    const leads = await Lead.find({
+      status: { $in: newStages },
+      escalatedAt: null,
+      isArchived: false,
+      isSpam: false,
+      createdAt: { $lt: cutoff }
+    });
+
+    for (const lead of leads) {
+      lead.setActor(null);
+      lead.priority = 'High';
+      lead.escalatedAt = new Date();
+      await lead.save();
+    }
+
+    return leads.length;
+  }
+
+  /**
+   * Run all jobs once (skipped if the previous run is still going)
+   */
+  async runOnce() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const overdue = await this.flagOverdueTasks();
+      const escalated = await this.escalateStaleLeads();
+      if (overdue || escalated) {
+        console.log(`⏰ Lead scheduler: ${overdue} task(s) overdue, ${escalated} lead(s) escalated`);
+      }
+    } catch (error) {
+      console.error('❌ Lead scheduler failed:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Start the background interval (call after MongoDB is connected)
+   */
+  start() {
+    if (this.timer) return;
+    const { intervalMinutes } = this._config();
+
+    this.timer = setInterval(() => this.runOnce(), intervalMinutes * 60 * 1000);
+    this.timer.unref(); // Don't keep the process alive just for the scheduler
+    this.runOnce();
+
+    console.log(`⏰ Lead scheduler started (every ${intervalMinutes} min)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new LeadScheduler();
@@ -0,0 +1,209 @@
+// backend/services/leadWebhookService.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const LeadActivity = require('../models/LeadActivity');
+const Project = require('../models/Project');
+const leadRoutingService = require('./leadRoutingService');
+const notificationService = require('./notificationService');
+const pipelineService = require('./pipelineService');
+
+// Provider name in the payload → Lead.source
+const PROVIDER_SOURCES = {
+  whatsapp: 'WhatsApp',
+  phone: 'Phone Call',
+  facebook: 'Facebook',
+  instagram: 'Instagram'
+};
+
+const INQUIRY_TYPES = ['buying', 'selling', 'renting', 'land', 'consulting'];
+
+/*
+ * Normalized payload (providers are adapted to this shape before calling us):
+ * {
+ *   "provider": "whatsapp" | "phone" | "facebook" | "instagram",
+ *   "eventId": "wamid.HBgM...",            // unique per provider, used for idempotency
+ *   "contact": { "name": "Dana", "phone": "+972501234567", "email": "dana@example.com" },
+ *   "message": "Is the apartment still available?",
+ *   "inquiryType": "buying",                // optional (default: consulting)
+ *   "projectId": "65f0...",                 // optional listing reference
+ *   "lang": "he"                            // optional
+ * }
+ *
+ * Headers:
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" with LEAD_WEBHOOK_SECRET>
+ */
+
+class LeadWebhookService {
+
+  // ==========================================
+  // 🛠️ HELPER FUNCTIONS (Internal Logic)
+  // ==========================================
+
+  _config() {
+    return {
+      secret: process.env.LEAD_WEBHOOK_SECRET || null,
+      toleranceSeconds: Number(process.env.LEAD_WEBHOOK_TOLERANCE_SECONDS) || 300
+    };
+  }
+
+  _badRequest(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+
+  /**
+   * Validate the normalized payload
+   * @returns {Object} Fields ready for the Lead model
+   */
+  async _normalize(payload) {
+    if (!payload || typeof payload !== 'object') {
+      throw this._badRequest('Invalid payload');
+    }
+
+    const source = PROVIDER_SOURCES[String(payload.provider || '').toLowerCase()];
+    if (!source) {
+      throw this._badRequest(`Unknown provider. Must be: ${Object.keys(PROVIDER_SOURCES).join(', ')}`);
+    }
+    if (!payload.eventId) {
+      throw this._badRequest('eventId is required');
+    }
+
+    const contact = payload.contact || {};
+    const phoneNumber = contact.phone ? String(contact.phone).trim() : '';
+    if (!phoneNumber) {
+      throw this._badRequest('contact.phone is required');
+    }
+
+    const email = contact.email ? String(contact.email).trim().toLowerCase() : undefined;
+    if (email && !/^\S+@\S+\.\S+$/.test(email)) {
+      throw this._badRequest('Invalid contact email');
+    }
+
+    let project = null;
+    if (payload.projectId) {
+      if (mongoose.isValidObjectId(payload.projectId)) {
+        project = await Project.exists({ _id: payload.projectId, status: { $ne: 'deleted' } });
+      }
+      if (!project) throw this._badRequest('Project not found');
+    }
+
+    const language = String(payload.lang || 'en').split('-')[0].toLowerCase();
+
+    return {
+      externalId: `${payload.provider.toLowerCase()}:${payload.eventId}`,
+      source,
+      fullName: contact.name ? String(contact.name).trim() : phoneNumber,
+      email,
+      phoneNumber,
+      inquiryType: INQUIRY_TYPES.includes(payload.inquiryType) ? payload.inquiryType : 'consulting',
+      message: payload.message ? String(payload.message).trim() : `Incoming ${source} contact`,
+      project: project ? project._id : null,
+      language: ['en', 'ar', 'he'].includes(language) ? language : 'en'
+    };
+  }
+
+  /**
+   * Existing open lead (not won/lost, archived, merged or spam) of the same client
+   */
+  async _findOpenLead({ email, phoneNumber }) {
+    const closedStages = await pipelineService.getKeysByCategory('won', 'lost');
+    const candidates = await Lead.findDuplicates({ email, phoneNumber });
+    return candidates.find(lead =>
+      !closedStages.includes(lead.status) && !lead.isArchived && !lead.isSpam
+    ) || null;
+  }
+
+  // ==========================================
+  // 🚀 MAIN PUBLIC FUNCTIONS
+  // ==========================================
+
+  isConfigured() {
+    return Boolean(this._config().secret);
+  }
+
+  /**
+   * Verify the HMAC signature and timestamp of a webhook request
+   * @param {Buffer} rawBody - Body exactly as received
+   * @returns {boolean}
+   */
+  verifySignature(rawBody, timestamp, signature) {
+    const { secret, toleranceSeconds } = this._config();
+    if (!secret || !rawBody || !timestamp || !signature) return false;
+
+    // Reject old requests (replay protection)
+    const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!Number.isFinite(age) || age > toleranceSeconds) return false;
+
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+    const received = String(signature).replace(/^sha256=/, '');
+
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const receivedBuffer = Buffer.from(received, 'hex');
+    return expectedBuffer.length === receivedBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+  }
+
+  /**
+   * Create a lead from a provider event, or add the message to the client's open lead
+   * @returns {Object} { lead, action: 'created' | 'updated' | 'ignored' }
+   */
+  async ingest(payload) {
+    const data = await this._normalize(payload);
+
+    // Provider retried an event we already processed
+    const processed = await Lead.findOne({ externalIds: data.externalId });
+    if (processed) {
+      return { lead: processed, action: 'ignored' };
+    }
+
+    const openLead = await this._findOpenLead(data);
+    if (openLead) {
+      openLead.externalIds.push(data.externalId);
+      if (!openLead.project && data.project) {
+        openLead.project = data.project;
+      }
+      openLead.setActor(null);
+      await openLead.save();
+
+      await LeadActivity.record({
+        lead: openLead._id,
+        type: 'message_received',
+        to: data.source,
+        note: data.message
+      });
+
+      return { lead: openLead, action: 'updated' };
+    }
+
+    const { externalId, ...fields } = data;
+    const lead = await Lead.create({ ...fields, externalIds: [externalId] });
+
+    if (lead.project) {
+      await Project.updateOne({ _id: lead.project }, { $inc: { inquiryCount: 1 } });
+    }
+
+    try {
+      await leadRoutingService.assignLead(lead);
+    } catch (routingError) {
+      console.error('Lead routing failed:', routingError.message);
+    }
+
+    // Async email notifications (don't wait)
+    notificationService.leadCreated(lead)
+      .catch(err => console.error('New lead notification failed:', err.message));
+    if (lead.assignedTo) {
+      notificationService.leadAssigned(lead)
+        .catch(err => console.error('Assignment notification failed:', err.message));
+    }
+
+    return { lead, action: 'created' };
+  }
+}
+
+module.exports = new LeadWebhookService();
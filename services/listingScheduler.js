@@ -0,0 +1,88 @@
+// backend/services/listingScheduler.js
+const Project = require('../models/Project');
+const currencyService = require('./currencyService');
+const projectViewService = require('./projectViewService');
+const savedSearchService = require('./savedSearchService');
+
+class ListingScheduler {
+
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  // ==========================================
+  // 🛠️ HELPER FUNCTIONS (Internal Logic)
+  // ==========================================
+
+  _config() {
+    return {
+      intervalMinutes: Number(process.env.LISTING_SCHEDULER_INTERVAL_MINUTES) || 60
+    };
+  }
+
+  // ==========================================
+  // 🚀 MAIN PUBLIC FUNCTIONS
+  // ==========================================
+
+  /**
+   * Run all jobs once (skipped if the previous run is still going)
+   */
+  async runOnce() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      // Rates file (if configured) is re-imported when it changes
+      if (currencyService.isImportConfigured()) {
+        await currencyService.importFromFile()
+          .then(({ imported }) => imported && console.log('💱 Listing scheduler: currency rates imported'))
+          .catch(err => console.error('❌ Currency rates import failed:', err.message));
+      }
+
+      // Status changes first so the alerts see the listings that just went live
+      const now = new Date();
+      const published = await Project.publishDue(now);
+      const expiredListings = await Project.expireDue(now);
+      if (published || expiredListings) {
+        console.log(`🏠 Listing scheduler: ${published} listing(s) published, ${expiredListings} expired`);
+      }
+
+      // Ranking used by sort=popular
+      await projectViewService.refreshPopularity();
+
+      const alerts = await savedSearchService.sendAlerts();
+      const expired = await savedSearchService.removeExpiredPending();
+      if (alerts.notified || expired) {
+        console.log(`🏠 Listing scheduler: ${alerts.notified} saved-search alert(s) sent, ${expired} unconfirmed search(es) removed`);
+      }
+    } catch (error) {
+      console.error('❌ Listing scheduler failed:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Start the background interval (call after MongoDB is connected)
+   */
+  start() {
+    if (this.timer) return;
+    const { intervalMinutes } = this._config();
+
+    this.timer = setInterval(() => this.runOnce(), intervalMinutes * 60 * 1000);
+    this.timer.unref(); // Don't keep the process alive just for the scheduler
+    this.runOnce();
+
+    console.log(`🏠 Listing scheduler started (every ${intervalMinutes} min)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new ListingScheduler();
@@ -0,0 +1,53 @@
+// backend/services/notificationService.js
+const Admin = require('../models/Admin');
+const TeamMember = require('../models/TeamMember');
+const emailService = require('./emailService');
+const templates = require('./emailTemplates');
+
+class NotificationService {
+
+  // ==========================================
+  // 🛠️ HELPER FUNCTIONS (Internal Logic)
+  // ==========================================
+
+  _enabled() {
+    return process.env.NOTIFICATIONS_ENABLED !== 'false';
+  }
+
+  // ==========================================
+  // 🚀 MAIN PUBLIC FUNCTIONS
+  // ==========================================
+
+  /**
+   * New website lead: alert superadmins and acknowledge the client
+   */
+  async leadCreated(lead) {
+    if (!this._enabled()) return;
+
+    const superadmins = await Admin.find({ role: 'superadmin' }).select('email');
+    const alert = templates.newLeadAlert(lead, process.env.ADMIN_NOTIFICATION_LANG || 'en');
+    await emailService.send({ to: superadmins.map(admin => admin.email), ...alert });
+
+    // Leads from messaging channels may not have an email
+    if (lead.email) {
+      const acknowledgement = templates.leadAcknowledgement(lead, lead.language);
+      await emailService.send({ to: lead.email, ...acknowledgement });
+    }
+  }
+
+  /**
+   * Lead assigned: email the team member
+   */
+  async leadAssigned(lead) {
+    if (!this._enabled() || !lead.assignedTo) return;
+
+    const memberId = lead.assignedTo._id || lead.assignedTo;
+    const member = await TeamMember.findById(memberId).select('email translations.en.name');
+    if (!member || !member.email) return;
+
+    const message = templates.leadAssigned(lead, member.translations.en.name, process.env.ADMIN_NOTIFICATION_LANG || 'en');
+    await emailService.send({ to: member.email, ...message });
+  }
+}
+
+module.exports = new NotificationService();
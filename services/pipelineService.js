@@ -0,0 +1,90 @@
+// backend/services/pipelineService.js
+const PipelineStage = require('../models/PipelineStage');
+
+// Stages change rarely: cache them and reload after this long
+const CACHE_TTL_MS = 60 * 1000;
+
+class PipelineService {
+
+  constructor() {
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  // ==========================================
+  // 🛠️ HELPER FUNCTIONS (Internal Logic)
+  // ==========================================
+
+  /**
+   * Create the built-in stages on first use
+   */
+  async _ensureDefaults() {
+    const count = await PipelineStage.countDocuments();
+    if (count > 0) return;
+
+    await PipelineStage.insertMany(PipelineStage.DEFAULT_STAGES, { ordered: false }).catch(error => {
+      // Another request may have seeded them at the same time
+      if (error.code !== 11000) throw error;
+    });
+    console.log('🧩 Default pipeline stages created');
+  }
+
+  // ==========================================
+  // 🚀 MAIN PUBLIC FUNCTIONS
+  // ==========================================
+
+  /**
+   * All stages (active and inactive) sorted by order
+   */
+  async getStages() {
+    if (this.cache && Date.now() - this.cachedAt < CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    await this._ensureDefaults();
+    this.cache = await PipelineStage.find().sort({ order: 1, createdAt: 1 }).lean();
+    this.cachedAt = Date.now();
+    return this.cache;
+  }
+
+  invalidate() {
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  async getStage(key) {
+    const stages = await this.getStages();
+    return stages.find(stage => stage.key === key) || null;
+  }
+
+  /**
+   * Stage keys of the given categories, in pipeline order
+   * @param {...string} categories - new | open | won | lost
+   */
+  async getKeysByCategory(...categories) {
+    const stages = await this.getStages();
+    return stages.filter(stage => categories.includes(stage.category)).map(stage => stage.key);
+  }
+
+  /**
+   * First active stage of a category (e.g. the stage /close moves a lead to)
+   */
+  async getFirstStage(category) {
+    const stages = await this.getStages();
+    return stages.find(stage => stage.category === category && stage.active) || null;
+  }
+
+  /**
+   * Rank used to pick the "strongest" stage: won > open (by order) > lost > new
+   */
+  async getStageRank() {
+    const stages = await this.getStages();
+    const base = { new: 0, lost: 1, open: 2, won: 3 };
+    return stages.reduce((rank, stage, index) => {
+      rank[stage.key] = base[stage.category] * 10000 + index;
+      return rank;
+    }, {});
+  }
+}
+
+module.exports = new PipelineService();
@@ -0,0 +1,149 @@
+// backend/services/projectViewService.js
+const crypto = require('crypto');
+const Project = require('../models/Project');
+const ProjectView = require('../models/ProjectView');
+const Lead = require('../models/Lead');
+
+// Crawlers and link previews aren't visitors
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|whatsapp|headless/i;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ProjectViewService {
+
+  // ==========================================
+  // 🛠️ HELPER FUNCTIONS (Internal Logic)
+  // ==========================================
+
+  _config() {
+    return {
+      secret: process.env.VIEW_HASH_SECRET || process.env.JWT_SECRET || 'project-views',
+      popularityWindowDays: Number(process.env.POPULARITY_WINDOW_DAYS) || 30,
+      // One lead counts as this many views in popularityScore
+      inquiryWeight: Number(process.env.POPULARITY_INQUIRY_WEIGHT) || 5,
+      // Views counted per IP per listing per day (visitors sharing a network, or rotated visitor ids)
+      maxViewsPerAddress: Number(process.env.VIEWS_PER_IP_PER_DAY) || 5
+    };
+  }
+
+  _hash(day, identity) {
+    return crypto
+      .createHmac('sha256', this._config().secret)
+      .update(`${day}|${identity}`)
+      .digest('hex')
+      .slice(0, 32);
+  }
+
+  /**
+   * Anonymous visitor id for one day (the same visitor gets a different hash every day).
+   * The client visitorId only tells apart visitors with the same IP and browser.
+   */
+  _visitorHash({ visitorId, ipAddress, userAgent }, day) {
+    return this._hash(day, `ip:${ipAddress || ''}|ua:${userAgent || ''}|id:${visitorId || ''}`);
+  }
+
+  // ==========================================
+  // 🚀 MAIN PUBLIC FUNCTIONS
+  // ==========================================
+
+  isBot(userAgent) {
+    return !userAgent || BOT_PATTERN.test(userAgent);
+  }
+
+  /**
+   * Count a listing view (once per visitor per day, capped per IP)
+   * @param {Object} visitor - { visitorId (client generated, optional), ipAddress, userAgent }
+   * @returns {boolean} true when the view was counted
+   */
+  async recordView(projectId, visitor) {
+    if (this.isBot(visitor.userAgent)) return false;
+
+    const day = ProjectView.toDay();
+    const counted = await ProjectView.record(projectId, {
+      visitorHash: this._visitorHash(visitor, day),
+      addressHash: this._hash(day, `ip:${visitor.ipAddress || ''}`),
+      maxPerAddress: this._config().maxViewsPerAddress
+    }, day);
+    if (counted) {
+      await Project.updateOne({ _id: projectId }, { $inc: { viewCount: 1 } }, { timestamps: false });
+    }
+    return counted;
+  }
+
+  /**
+   * Most viewed and most inquired listings over a period
+   * @returns {Object} { mostViewed, mostInquired } - [{ project, views, leads }]
+   */
+  async getTopProjects({ since, until, limit = 10 }) {
+    const [viewCounts, leadCounts] = await Promise.all([
+      ProjectView.getViewCounts({ since, until, limit }),
+      Lead.getProjectInterestCounts({ since, until, limit })
+    ]);
+
+    // Each list also shows the other metric of its listings
+    const projectIds = [...new Set([...viewCounts, ...leadCounts].map(row => row._id.toString()))];
+    const [projects, allViews, allLeads] = await Promise.all([
+      Project.find({ _id: { $in: projectIds } }).select('translations type status price currency mainImage viewCount inquiryCount'),
+      ProjectView.getViewCounts({ since, until, projectIds }),
+      Lead.getProjectInterestCounts({ since, until, projectIds })
+    ]);
+
+    const count = (rows, id, field) => rows.find(row => row._id.toString() === id)?.[field] || 0;
+    const toEntry = (row) => {
+      const id = row._id.toString();
+      return {
+        project: projects.find(project => project._id.toString() === id) || null,
+        views: count(allViews, id, 'views'),
+        leads: count(allLeads, id, 'leads')
+      };
+    };
+
+    return {
+      // Hard-deleted listings have no project left
+      mostViewed: viewCounts.map(toEntry).filter(entry => entry.project),
+      mostInquired: leadCounts.map(toEntry).filter(entry => entry.project)
+    };
+  }
+
+  /**
+   * Recompute popularityScore (recent views + weighted recent leads) of every listing
+   * @returns {number} Listings with a score
+   */
+  async refreshPopularity() {
+    const { popularityWindowDays, inquiryWeight } = this._config();
+    const since = new Date(Date.now() - popularityWindowDays * DAY_MS);
+
+    const [viewCounts, leadCounts] = await Promise.all([
+      ProjectView.getViewCounts({ since }),
+      Lead.getProjectInterestCounts({ since })
+    ]);
+
+    const scores = new Map();
+    viewCounts.forEach(row => scores.set(row._id.toString(), row.views));
+    leadCounts.forEach(row => {
+      const id = row._id.toString();
+      scores.set(id, (scores.get(id) || 0) + row.leads * inquiryWeight);
+    });
+
+    // Listings that dropped out of the window go back to 0
+    await Project.updateMany(
+      { popularityScore: { $ne: 0 }, _id: { $nin: [...scores.keys()] } },
+      { popularityScore: 0 },
+      { timestamps: false }
+    );
+
+    if (scores.size > 0) {
+      await Project.bulkWrite([...scores].map(([id, score]) => ({
+        updateOne: {
+          filter: { _id: id },
+          update: { popularityScore: score },
+          timestamps: false
+        }
+      })));
+    }
+
+    return scores.size;
+  }
+}
+
+module.exports = new ProjectViewService();
@@ -0,0 +1,204 @@
+// backend/services/savedSearchService.js
+const SavedSearch = require('../models/SavedSearch');
+const Project = require('../models/Project');
+const PriceChange = require('../models/PriceChange');
+const emailService = require('./emailService');
+const templates = require('./emailTemplates');
+
+// Listing filters a saved search can keep
+const CRITERIA_FIELDS = [
+  'type', 'minPrice', 'maxPrice', 'currency',
+  'minBedrooms', 'maxBedrooms', 'minBathrooms', 'maxBathrooms',
+  'minAreaSqm', 'maxAreaSqm', 'city', 'neighborhood'
+];
+
+const PENDING_EXPIRY_DAYS = 7;
+
+class SavedSearchService {
+
+  // ==========================================
+  // 🛠️ HELPER FUNCTIONS (Internal Logic)
+  // ==========================================
+
+  _config() {
+    return {
+      apiUrl: (process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, ''),
+      siteUrl: process.env.PUBLIC_SITE_URL ? process.env.PUBLIC_SITE_URL.replace(/\/$/, '') : null,
+      maxPerEmail: Number(process.env.SAVED_SEARCH_MAX_PER_EMAIL) || 10,
+      maxResults: Number(process.env.SAVED_SEARCH_MAX_RESULTS) || 10
+    };
+  }
+
+  _error(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  _confirmUrl(search) {
+    return `${this._config().apiUrl}/api/saved-searches/confirm/${search.confirmToken}`;
+  }
+
+  _unsubscribeUrl(search) {
+    return `${this._config().apiUrl}/api/saved-searches/unsubscribe/${search.unsubscribeToken}`;
+  }
+
+  /**
+   * Active listings matching the search that went live or were reduced since a date
+   */
+  async _findMatches(search, since) {
+    const reducedIds = await PriceChange.find({ isReduction: true, createdAt: { $gt: since } })
+      .distinct('project');
+
+    const query = {
+      ...Project.buildListingQuery(search.getFilters()),
+      status: 'active',
+      $or: [
+        { publishedAt: { $gt: since } },
+        { _id: { $in: reducedIds } }
+      ]
+    };
+
+    return Project.find(query)
+      .sort({ publishedAt: -1 })
+      .limit(this._config().maxResults);
+  }
+
+  // ==========================================
+  // 🚀 MAIN PUBLIC FUNCTIONS
+  // ==========================================
+
+  /**
+   * Keep only the criteria a saved search supports (input: Project.parseListingFilters output).
+   * A price range given in displayCurrency is kept converted to the base currency.
+   */
+  pickCriteria(filters) {
+    const criteria = CRITERIA_FIELDS.reduce((result, field) => {
+      if (filters[field] !== undefined) result[field] = filters[field];
+      return result;
+    }, {});
+
+    if (filters.minNormalizedPrice !== undefined) criteria.minPrice = filters.minNormalizedPrice;
+    if (filters.maxNormalizedPrice !== undefined) criteria.maxPrice = filters.maxNormalizedPrice;
+    return criteria;
+  }
+
+  /**
+   * Create a pending saved search and send the confirmation email
+   */
+  async subscribe({ email, language, criteria, ipAddress }) {
+    const { maxPerEmail } = this._config();
+    const existing = await SavedSearch.countDocuments({
+      email: String(email).trim().toLowerCase(),
+      status: { $in: ['pending', 'active'] }
+    });
+    if (existing >= maxPerEmail) {
+      throw this._error(`You can have at most ${maxPerEmail} saved searches`, 429);
+    }
+
+    const search = await SavedSearch.create({ email, language, criteria, ipAddress });
+
+    const message = templates.savedSearchConfirmation({
+      criteria: search.getFilters(),
+      confirmUrl: this._confirmUrl(search)
+    }, search.language);
+    await emailService.send({ to: search.email, ...message });
+
+    return search;
+  }
+
+  /**
+   * Double opt-in link
+   * @returns {SavedSearch|null}
+   */
+  async confirm(token) {
+    const search = await SavedSearch.findOne({ confirmToken: token });
+    if (!search) return null;
+
+    if (search.status === 'pending') {
+      search.status = 'active';
+      await search.save();
+    }
+    return search;
+  }
+
+  async unsubscribe(token) {
+    const search = await SavedSearch.findOne({ unsubscribeToken: token });
+    if (!search) return null;
+
+    if (search.status !== 'unsubscribed') {
+      search.status = 'unsubscribed';
+      await search.save();
+    }
+    return search;
+  }
+
+  /**
+   * Result page for the email links (frontend if configured, JSON otherwise)
+   */
+  getLandingUrl(result) {
+    const { siteUrl } = this._config();
+    return siteUrl ? `${siteUrl}/?savedSearch=${result}` : null;
+  }
+
+  /**
+   * Email every active search its new / price-reduced matches
+   * @returns {Object} { checked, notified }
+   */
+  async sendAlerts() {
+    const { siteUrl } = this._config();
+    const runStartedAt = new Date();
+    let checked = 0;
+    let notified = 0;
+
+    const searches = await SavedSearch.find({ status: 'active' });
+
+    for (const search of searches) {
+      checked++;
+      const since = search.lastCheckedAt || search.confirmedAt || search.createdAt;
+
+      try {
+        const projects = await this._findMatches(search, since);
+
+        if (projects.length > 0) {
+          const lang = search.language;
+          const message = templates.savedSearchAlert({
+            criteria: search.getFilters(),
+            unsubscribeUrl: this._unsubscribeUrl(search),
+            projects: projects.map(project => ({
+              title: project.translations[lang].title,
+              location: project.translations[lang].location,
+              formattedPrice: project.formattedPrice,
+              priceReduced: project.priceReduced,
+              url: siteUrl ? `${siteUrl}/projects/${project._id}` : null
+            }))
+          }, lang);
+
+          await emailService.send({ to: search.email, ...message });
+          search.lastNotifiedAt = runStartedAt;
+          search.alertsSent += 1;
+          notified++;
+        }
+
+        search.lastCheckedAt = runStartedAt;
+        await search.save();
+      } catch (error) {
+        // Keep lastCheckedAt so the next run retries this search
+        console.error(`Saved search alert failed (${search._id}):`, error.message);
+      }
+    }
+
+    return { checked, notified };
+  }
+
+  /**
+   * Remove searches that were never confirmed
+   */
+  async removeExpiredPending() {
+    const cutoff = new Date(Date.now() - PENDING_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+    const result = await SavedSearch.deleteMany({ status: 'pending', createdAt: { $lt: cutoff } });
+    return result.deletedCount;
+  }
+}
+
+module.exports = new SavedSearchService();
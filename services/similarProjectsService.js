@@ -0,0 +1,131 @@
+// backend/services/similarProjectsService.js
+const Project = require('../models/Project');
+
+// Default weight of each criterion (override with SIMILAR_WEIGHT_<NAME>, 0 disables it)
+const DEFAULT_WEIGHTS = {
+  type: 3,
+  price: 3,
+  bedrooms: 2,
+  area: 1,
+  location: 2
+};
+
+class SimilarProjectsService {
+
+  // ==========================================
+  // 🛠️ HELPER FUNCTIONS (Internal Logic)
+  // ==========================================
+
+  _config() {
+    const weights = Object.keys(DEFAULT_WEIGHTS).reduce((result, name) => {
+      const value = Number(process.env[`SIMILAR_WEIGHT_${name.toUpperCase()}`]);
+      result[name] = Number.isFinite(value) && value >= 0 ? value : DEFAULT_WEIGHTS[name];
+      return result;
+    }, {});
+
+    return {
+      weights,
+      // Listings scored per request (closest by price / same type or city first)
+      candidateLimit: Number(process.env.SIMILAR_CANDIDATE_LIMIT) || 300
+    };
+  }
+
+  /**
+   * 1 when equal, down to 0 when the difference reaches `scale` (null when unknown)
+   */
+  _closeness(a, b, scale) {
+    if (a === null || a === undefined || b === null || b === undefined || !(scale > 0)) return null;
+    return Math.max(0, 1 - Math.abs(a - b) / scale);
+  }
+
+  /**
+   * Same neighborhood > same city > shared words in the location text (all languages)
+   */
+  _locationScore(project, candidate) {
+    if (project.neighborhood && project.neighborhood === candidate.neighborhood &&
+        project.city === candidate.city) {
+      return 1;
+    }
+    if (project.city && project.city === candidate.city) return 0.7;
+
+    const words = (doc) => new Set((doc.searchIndex?.location || '').split(' ').filter(word => word.length > 1));
+    const a = words(project);
+    const b = words(candidate);
+    if (a.size === 0 || b.size === 0) return null;
+
+    const shared = [...a].filter(word => b.has(word)).length;
+    return (shared / (a.size + b.size - shared)) * 0.7;
+  }
+
+  /**
+   * Rentals compare the monthly rent, other listings the price (both in the base currency)
+   */
+  _priceField(project) {
+    return project.type === 'forRent' ? 'normalizedPricePerMonth' : 'normalizedPrice';
+  }
+
+  /**
+   * Weighted score between 0 and 1 (criteria unknown on either listing count as 0)
+   */
+  _score(project, candidate, weights) {
+    const priceField = this._priceField(project);
+    const scores = {
+      type: project.type === candidate.type ? 1 : 0,
+      price: this._closeness(project[priceField], candidate[priceField], project[priceField]),
+      bedrooms: this._closeness(project.bedrooms, candidate.bedrooms, 3),
+      area: this._closeness(project.areaSqm, candidate.areaSqm, project.areaSqm),
+      location: this._locationScore(project, candidate)
+    };
+
+    let total = 0;
+    let weightSum = 0;
+    for (const [name, weight] of Object.entries(weights)) {
+      total += weight * (scores[name] || 0);
+      weightSum += weight;
+    }
+    return weightSum > 0 ? total / weightSum : 0;
+  }
+
+  // ==========================================
+  // 🚀 MAIN PUBLIC FUNCTIONS
+  // ==========================================
+
+  getWeights() {
+    return this._config().weights;
+  }
+
+  /**
+   * Active listings most similar to a project, best first
+   * @param {Object} project - Project document (with searchIndex.location selected)
+   * @returns {Object[]} [{ project, similarity }]
+   */
+  async findSimilar(project, { limit = 6 } = {}) {
+    const { weights, candidateLimit } = this._config();
+    const priceField = this._priceField(project);
+    const price = project[priceField];
+
+    // Narrow the pool before scoring: same type, same city or a comparable price
+    const related = [{ type: project.type }];
+    if (project.city) related.push({ city: project.city });
+    if (price > 0) related.push({ [priceField]: { $gte: price / 2, $lte: price * 2 } });
+
+    const candidates = await Project.find({
+      _id: { $ne: project._id },
+      status: 'active',
+      $or: related
+    })
+      .select('+searchIndex.location')
+      .sort({ publishedAt: -1 })
+      .limit(candidateLimit);
+
+    return candidates
+      .map(candidate => ({
+        project: candidate,
+        similarity: Math.round(this._score(project, candidate, weights) * 1000) / 1000
+      }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+}
+
+module.exports = new SimilarProjectsService();
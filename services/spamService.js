@@ -0,0 +1,205 @@
+// backend/services/spamService.js
+const Lead = require('../models/Lead');
+const BlockedSender = require('../models/BlockedSender');
+
+// Throwaway mailbox providers commonly used by form spammers
+const DISPOSABLE_EMAIL_DOMAINS = [
+  'mailinator.com',
+  'guerrillamail.com',
+  'guerrillamail.net',
+  '10minutemail.com',
+  'tempmail.com',
+  'temp-mail.org',
+  'yopmail.com',
+  'trashmail.com',
+  'getnada.com',
+  'sharklasers.com',
+  'dispostable.com',
+  'maildrop.cc',
+  'throwawaymail.com',
+  'fakeinbox.com'
+];
+
+// Phrases typical of SEO/crypto/marketing spam
+const SPAM_KEYWORDS = [
+  'seo',
+  'backlink',
+  'casino',
+  'crypto',
+  'bitcoin',
+  'forex',
+  'viagra',
+  'loan offer',
+  'web design services',
+  'rank your website',
+  'guest post',
+  'click here',
+  'buy now',
+  'free money'
+];
+
+class SpamService {
+
+  constructor() {
+    // Limits can be tuned through .env
+    this.config = {
+      ipLimit: Number(process.env.LEAD_RATE_LIMIT_PER_IP) || 5,
+      emailLimit: Number(process.env.LEAD_RATE_LIMIT_PER_EMAIL) || 3,
+      rateWindowMinutes: Number(process.env.LEAD_RATE_LIMIT_WINDOW_MINUTES) || 60,
+      duplicateWindowHours: Number(process.env.LEAD_DUPLICATE_WINDOW_HOURS) || 24,
+      spamThreshold: Number(process.env.LEAD_SPAM_THRESHOLD) || 5
+    };
+  }
+
+  // ==========================================
+  // 🛠️ HELPER FUNCTIONS (Internal Logic)
+  // ==========================================
+
+  _normalizeMessage(message = '') {
+    return message.toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  _countLinks(text = '') {
+    const matches = text.match(/(https?:\/\/|www\.)\S+/gi);
+    return matches ? matches.length : 0;
+  }
+
+  // ==========================================
+  // 🚀 MAIN PUBLIC FUNCTIONS
+  // ==========================================
+
+  /**
+   * Client IP as resolved by Express from the trusted proxy hops ('trust proxy' in server.js).
+   * The first X-Forwarded-For entry is client controlled and never used.
+   */
+  getClientIp(req) {
+    return req.ip || req.socket?.remoteAddress || null;
+  }
+
+  /**
+   * Hidden form field that humans never fill in
+   */
+  isHoneypotTriggered(body = {}) {
+    return Boolean(body.website || body.companyWebsite);
+  }
+
+  /**
+   * Per-IP and per-email submission limits within the rate window
+   * @param {Model} model - Collection of the submissions (default: leads), needs ipAddress / email / createdAt
+   * @returns {Object} { limited, reason, retryAfterSeconds }
+   */
+  async checkRateLimit({ ipAddress, email }, model = Lead) {
+    const { ipLimit, emailLimit, rateWindowMinutes } = this.config;
+    const since = new Date(Date.now() - rateWindowMinutes * 60 * 1000);
+
+    if (ipAddress) {
+      const ipCount = await model.countDocuments({ ipAddress, createdAt: { $gte: since } });
+      if (ipCount >= ipLimit) {
+        return { limited: true, reason: 'ip', retryAfterSeconds: rateWindowMinutes * 60 };
+      }
+    }
+
+    if (email) {
+      const emailCount = await model.countDocuments({ email: email.toLowerCase(), createdAt: { $gte: since } });
+      if (emailCount >= emailLimit) {
+        return { limited: true, reason: 'email', retryAfterSeconds: rateWindowMinutes * 60 };
+      }
+    }
+
+    return { limited: false };
+  }
+
+  /**
+   * Find the same message sent recently from the same email or IP
+   */
+  async findRecentDuplicate({ email, ipAddress, message }) {
+    const since = new Date(Date.now() - this.config.duplicateWindowHours * 60 * 60 * 1000);
+    const senders = [{ email: email.toLowerCase() }];
+    if (ipAddress) senders.push({ ipAddress });
+
+    const recentLeads = await Lead.find({ $or: senders, createdAt: { $gte: since } })
+      .select('message')
+      .sort({ createdAt: -1 });
+
+    const normalized = this._normalizeMessage(message);
+    return recentLeads.find(lead => this._normalizeMessage(lead.message) === normalized) || null;
+  }
+
+  /**
+   * Heuristic spam score for a submission.
+   * Every signal adds points; at or above the threshold the lead is spam.
+   * @returns {Object} { score, reasons, isSpam }
+   */
+  async evaluate({ fullName = '', email = '', message = '', ipAddress }) {
+    const reasons = [];
+    let score = 0;
+
+    const block = await BlockedSender.findMatch({ email, ipAddress });
+    if (block) {
+      score += this.config.spamThreshold;
+      reasons.push(`Blocked ${block.type}: ${block.value}`);
+    }
+
+    const domain = email.toLowerCase().split('@').pop();
+    if (DISPOSABLE_EMAIL_DOMAINS.includes(domain)) {
+      score += 3;
+      reasons.push(`Disposable email domain: ${domain}`);
+    }
+
+    const links = this._countLinks(`${fullName} ${message}`);
+    if (links > 0) {
+      score += Math.min(links, 3) * 2;
+      reasons.push(`Contains ${links} link(s)`);
+    }
+
+    const lowerMessage = message.toLowerCase();
+    const keywords = SPAM_KEYWORDS.filter(keyword => new RegExp(`\\b${keyword}\\b`).test(lowerMessage));
+    if (keywords.length > 0) {
+      score += keywords.length * 2;
+      reasons.push(`Spam keywords: ${keywords.join(', ')}`);
+    }
+
+    if (/<[a-z][\s\S]*>/i.test(message)) {
+      score += 2;
+      reasons.push('Contains HTML markup');
+    }
+
+    const letters = message.replace(/[^A-Za-z]/g, '');
+    if (letters.length >= 20 && letters === letters.toUpperCase()) {
+      score += 1;
+      reasons.push('Message is all caps');
+    }
+
+    return {
+      score,
+      reasons,
+      isSpam: score >= this.config.spamThreshold
+    };
+  }
+
+  /**
+   * Block the lead's email and IP so future submissions are flagged
+   * (channel leads - WhatsApp, calls... - may have no email)
+   */
+  async blockLeadSender(lead, adminId) {
+    const extra = { reason: 'Marked as spam', sourceLead: lead._id, createdBy: adminId || null };
+    const blocks = [];
+    if (lead.email) {
+      blocks.push(await BlockedSender.block('email', lead.email, extra));
+    }
+    if (lead.ipAddress) {
+      blocks.push(await BlockedSender.block('ip', lead.ipAddress, extra));
+    }
+    return blocks;
+  }
+
+  /**
+   * Remove the blocks that were created from this lead
+   */
+  async unblockLeadSender(lead) {
+    const result = await BlockedSender.deleteMany({ sourceLead: lead._id });
+    return result.deletedCount;
+  }
+}
+
+module.exports = new SpamService();